@@ -0,0 +1,167 @@
+const vscode = require('vscode');
+const gitHelper = require('./git-helper');
+const config = require('./config');
+
+/**
+ * Watches a repository's HEAD and reports branch changes
+ *
+ * Follows both the HEAD file and the built-in Git extension's repository
+ * state, whichever notices a checkout first.
+ */
+class BranchWatcher {
+    constructor(workspaceFolder, onDidChangeBranch) {
+        this.workspaceFolder = workspaceFolder;
+        this.onDidChangeBranch = onDidChangeBranch;
+        this.currentBranch = null;
+        this.timer = null;
+        this.checking = false;
+        this.recheck = false;
+        this.repository = null;
+        this.repositoryListener = null;
+        this.disposables = [];
+    }
+
+    /**
+     * Detect the initial branch and start watching for HEAD changes
+     */
+    async start() {
+        this.currentBranch = await gitHelper.getCurrentBranch(this.workspaceFolder);
+
+        // The Git extension opens repositories in the background, maybe after this
+        const api = await gitHelper.getGitApi();
+        if (api) {
+            this.disposables.push(api.onDidOpenRepository(() => this.watchRepository()));
+            await this.watchRepository();
+        }
+
+        const gitDir = await gitHelper.getGitDir(this.workspaceFolder);
+        if (!gitDir) {
+            return;
+        }
+
+        // HEAD is rewritten on checkout, whatever tool performed it
+        const watcher = vscode.workspace.createFileSystemWatcher(
+            new vscode.RelativePattern(gitDir, 'HEAD')
+        );
+        watcher.onDidChange(() => this.schedule());
+        watcher.onDidCreate(() => this.schedule());
+
+        // Checks during a rebase, merge or bisect wait for its marker to go away
+        const markerWatcher = vscode.workspace.createFileSystemWatcher(
+            new vscode.RelativePattern(gitDir, `{${gitHelper.operationMarkers.join(',')}}`)
+        );
+        markerWatcher.onDidDelete(() => this.schedule());
+
+        // File events from outside the workspace are not always delivered,
+        // so also re-check whenever the window regains focus
+        const focusListener = vscode.window.onDidChangeWindowState(state => {
+            if (state.focused) {
+                this.schedule();
+            }
+        });
+
+        this.disposables.push(watcher, markerWatcher, focusListener);
+    }
+
+    /**
+     * Follow the HEAD of the Git extension's repository for this folder
+     *
+     * Its state changes with every file edit, so only a new HEAD schedules a
+     * check. The check then reads the same, already updated, state.
+     */
+    async watchRepository() {
+        const repository = await gitHelper.getRepository(this.workspaceFolder);
+
+        if (!repository || repository === this.repository) {
+            return;
+        }
+
+        if (this.repositoryListener) {
+            this.repositoryListener.dispose();
+        }
+
+        this.repository = repository;
+        this.repositoryListener = repository.state.onDidChange(() => {
+            const branch = gitHelper.describeRef(repository.state.HEAD);
+            if (branch && branch !== this.currentBranch) {
+                this.schedule();
+            }
+        });
+    }
+
+    /**
+     * Debounce branch checks so a burst of HEAD writes causes one swap
+     */
+    schedule() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.check();
+        }, config.getAutoSwitchDelay());
+    }
+
+    /**
+     * Compare the current branch with the last known one
+     *
+     * A check that comes in while one is running, e.g. waiting on the swap
+     * prompt, runs once that one finishes.
+     */
+    async check() {
+        if (this.checking) {
+            this.recheck = true;
+            return;
+        }
+
+        this.checking = true;
+        this.recheck = false;
+
+        try {
+            // Rebases and bisects move HEAD repeatedly, wait until they finish.
+            // The marker watcher or the next focus checks again, not a timer,
+            // so a paused rebase doesn't keep running git.
+            if (await gitHelper.isOperationInProgress(this.workspaceFolder)) {
+                return;
+            }
+
+            const branch = await gitHelper.getCurrentBranch(this.workspaceFolder);
+            if (!branch || branch === this.currentBranch) {
+                return;
+            }
+
+            const previousBranch = this.currentBranch;
+            this.currentBranch = branch;
+            await this.onDidChangeBranch(previousBranch, branch);
+        } catch (error) {
+            console.error('Failed to handle branch change:', error);
+        } finally {
+            this.checking = false;
+        }
+
+        if (this.recheck) {
+            this.recheck = false;
+            await this.check();
+        }
+    }
+
+    dispose() {
+        this.recheck = false;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.repositoryListener) {
+            this.repositoryListener.dispose();
+            this.repositoryListener = null;
+        }
+
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
+
+module.exports = BranchWatcher;
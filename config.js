@@ -0,0 +1,125 @@
+const vscode = require('vscode');
+
+/**
+ * Configuration helper for reading Tab Hero settings
+ */
+class TabHeroConfig {
+    /**
+     * Get the Tab Hero configuration section
+     */
+    getSection() {
+        return vscode.workspace.getConfiguration('tabHero');
+    }
+
+    /**
+     * Whether tab sets should be swapped automatically on branch change
+     */
+    isAutoSwitchEnabled() {
+        return this.getSection().get('autoSwitch.enabled', false);
+    }
+
+    /**
+     * How an automatic swap is performed: "prompt" or "always"
+     */
+    getAutoSwitchMode() {
+        return this.getSection().get('autoSwitch.mode', 'prompt');
+    }
+
+    /**
+     * Milliseconds to wait for HEAD to settle before swapping
+     */
+    getAutoSwitchDelay() {
+        return Math.max(0, this.getSection().get('autoSwitch.delay', 1500));
+    }
+
+    /**
+     * Default restore mode: "merge", "replace", "newGroup" or "preview"
+     */
+    getRestoreMode() {
+        return this.getSection().get('restoreMode', 'merge');
+    }
+
+    /**
+     * Whether saving a tab set closes the saved tabs
+     */
+    shouldCloseTabsOnSave() {
+        return this.getSection().get('save.closeTabs', true);
+    }
+
+    /**
+     * Whether saving a tab set asks to mark it as a favorite
+     */
+    shouldAskFavorite() {
+        return this.getSection().get('save.askFavorite', true);
+    }
+
+    /**
+     * Template for the suggested name of a new tab set, with ${branch},
+     * ${folder}, ${date} and ${time} tokens
+     */
+    getNameTemplate() {
+        return this.getSection().get('save.nameTemplate', '${branch} tabs') || '${branch} tabs';
+    }
+
+    /**
+     * Globs of files left unselected when picking tabs to save
+     */
+    getExcludePatterns() {
+        const patterns = this.getSection().get('save.excludePatterns', []);
+        return Array.isArray(patterns) ? patterns.filter(pattern => typeof pattern === 'string' && pattern) : [];
+    }
+
+    /**
+     * Whether sets keep the text of untitled and unsaved editors: "ask",
+     * "always" or "never"
+     */
+    getUnsavedContentMode() {
+        return this.getSection().get('save.unsavedContent', 'ask');
+    }
+
+    /**
+     * Order tabs are opened in within each group: "saved", "name" or "path"
+     */
+    getRestoreOrder() {
+        return this.getSection().get('restore.order', 'saved');
+    }
+
+    /**
+     * Most tabs to open in one restore, 0 for no limit
+     */
+    getMaxRestoreTabs() {
+        return Math.max(0, this.getSection().get('restore.maxTabs', 0));
+    }
+
+    /**
+     * Store new tab sets are saved to: "personal", "shared" or "global"
+     */
+    getDefaultStore() {
+        return this.getSection().get('defaultStore', 'personal');
+    }
+
+    /**
+     * Most session snapshots to keep, 0 to record none
+     */
+    getHistorySize() {
+        return Math.max(0, this.getSection().get('history.maxSnapshots', 30));
+    }
+
+    /**
+     * Minutes between periodic session snapshots, 0 to take none
+     */
+    getHistoryInterval() {
+        return Math.max(0, this.getSection().get('history.interval', 5));
+    }
+
+    /**
+     * Where a new branch without tab sets looks for a set to start from, in
+     * order: "parent", "previous", "upstream", "default" or a branch name
+     */
+    getInheritFrom() {
+        const sources = this.getSection().get('branches.inheritFrom', ['parent', 'upstream', 'default']);
+        return Array.isArray(sources) ? sources.filter(source => typeof source === 'string' && source) : [];
+    }
+}
+
+module.exports = new TabHeroConfig();
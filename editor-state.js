@@ -0,0 +1,147 @@
+const vscode = require('vscode');
+
+/**
+ * Tracks the last known cursor, scroll and fold state of each editor
+ */
+class EditorStateTracker {
+    constructor() {
+        this.states = new Map();
+    }
+
+    /**
+     * Start recording editor state changes
+     */
+    start(context) {
+        vscode.window.visibleTextEditors.forEach(editor => this.record(editor));
+
+        context.subscriptions.push(
+            vscode.window.onDidChangeTextEditorSelection(event => this.record(event.textEditor)),
+            vscode.window.onDidChangeTextEditorVisibleRanges(event => this.record(event.textEditor)),
+            vscode.window.onDidChangeVisibleTextEditors(editors => editors.forEach(editor => this.record(editor))),
+            vscode.workspace.onDidCloseTextDocument(doc => this.forget(doc.uri))
+        );
+    }
+
+    /**
+     * Record the state of a text editor
+     */
+    record(editor) {
+        if (!editor || !editor.document) {
+            return;
+        }
+
+        const uriString = editor.document.uri.toString();
+        const state = this.captureState(editor);
+
+        // Keep one entry per group, plus the latest state for the file in any group
+        this.states.set(`${editor.viewColumn}:${uriString}`, state);
+        this.states.set(uriString, state);
+    }
+
+    /**
+     * Drop recorded state for a closed document
+     */
+    forget(uri) {
+        const uriString = uri.toString();
+
+        for (const key of this.states.keys()) {
+            if (key === uriString || key.endsWith(`:${uriString}`)) {
+                this.states.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Get the last known state of a file in a group
+     */
+    getState(uri, viewColumn) {
+        const uriString = uri.toString();
+        return this.states.get(`${viewColumn}:${uriString}`) || this.states.get(uriString) || null;
+    }
+
+    /**
+     * Serialize an editor's selections, visible range and folded lines
+     */
+    captureState(editor) {
+        const visibleRanges = editor.visibleRanges || [];
+        const state = {
+            selections: editor.selections.map(selection => ({
+                anchor: toPosition(selection.anchor),
+                active: toPosition(selection.active)
+            })),
+            visibleRange: null,
+            foldedLines: []
+        };
+
+        if (visibleRanges.length > 0) {
+            state.visibleRange = {
+                start: toPosition(visibleRanges[0].start),
+                end: toPosition(visibleRanges[visibleRanges.length - 1].end)
+            };
+
+            // Folded regions split the viewport; the last line before each gap is a fold header
+            state.foldedLines = visibleRanges.slice(0, -1).map(range => range.end.line);
+        }
+
+        return state;
+    }
+
+    /**
+     * Reapply a saved state, clamping positions to the current document
+     */
+    async applyState(editor, state) {
+        if (!state) {
+            return;
+        }
+
+        const doc = editor.document;
+
+        if (state.selections && state.selections.length > 0) {
+            editor.selections = state.selections.map(selection => new vscode.Selection(
+                fromPosition(doc, selection.anchor),
+                fromPosition(doc, selection.active)
+            ));
+        }
+
+        const foldedLines = (state.foldedLines || []).filter(line => line >= 0 && line < doc.lineCount);
+        if (foldedLines.length > 0) {
+            try {
+                await vscode.commands.executeCommand('editor.fold', {
+                    levels: 1,
+                    selectionLines: foldedLines
+                });
+            } catch (error) {
+                console.error(`Failed to restore folds in ${doc.fileName}:`, error);
+            }
+        }
+
+        if (state.visibleRange) {
+            const start = fromPosition(doc, state.visibleRange.start);
+            editor.revealRange(new vscode.Range(start, start), vscode.TextEditorRevealType.AtTop);
+        } else if (editor.selections.length > 0) {
+            editor.revealRange(editor.selection, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+        }
+    }
+}
+
+/**
+ * Convert a position to plain JSON
+ */
+function toPosition(position) {
+    return { line: position.line, character: position.character };
+}
+
+/**
+ * Convert saved JSON to a position that exists in the document
+ */
+function fromPosition(doc, position) {
+    if (!position) {
+        return new vscode.Position(0, 0);
+    }
+
+    const line = Math.max(0, Math.min(position.line || 0, doc.lineCount - 1));
+    const character = Math.max(0, position.character || 0);
+    return doc.validatePosition(new vscode.Position(line, character));
+}
+
+module.exports = new EditorStateTracker();
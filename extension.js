@@ -1,499 +1,2514 @@
 const vscode = require('vscode');
+const path = require('path');
+const { URLSearchParams } = require('url');
 const storage = require('./storage');
 const gitHelper = require('./git-helper');
+const config = require('./config');
+const BranchWatcher = require('./branch-watcher');
+const editorState = require('./editor-state');
+const tabPaths = require('./tab-paths');
+const tabInputs = require('./tab-inputs');
+const TabSetTreeProvider = require('./tab-sets-view');
+const restoreService = require('./restore-service');
+const tabSetIo = require('./tab-set-io');
+const repairService = require('./repair-service');
+const TabSetPicker = require('./tab-set-picker');
+const sessionHistory = require('./session-history');
+const TabSetStatusBar = require('./status-bar');
+const tabHeroApi = require('./tab-hero-api');
+const unsavedContent = require('./unsaved-content');
+
+const TAB_KIND_LABELS = {
+    text: 'Text',
+    diff: 'Diff',
+    notebook: 'Notebook',
+    notebookDiff: 'Notebook diff',
+    custom: 'Custom editor'
+};
+
+// Workspace folder holding tab-hero.json, and one branch watcher per folder
+let storageFolder = null;
+const branchWatchers = new Map();
+let tabSetsProvider = null;
+let tabSetPicker = null;
+let tabSetStatusBar = null;
+
+// File names listed in a tab set's quick pick detail before "+N more"
+const DETAIL_FILE_COUNT = 5;
+
+// Quick-switch slots, bound to Ctrl+Alt+1 to 9 by default
+const SLOT_COUNT = 9;
+
+// Tag of tab sets archived after their branch was deleted
+const ARCHIVED_TAG = 'archived';
 
 /**
- * Get all currently open tab URIs
+ * Get all currently open tabs with their group, position, pinned and active state
+ *
+ * Text, diff, notebook, notebook diff and custom editor tabs are included.
  */
 function getOpenTabs() {
-    // Get all visible text editors (tabs)
-    const openEditors = vscode.window.tabGroups.all
-        .flatMap(group => group.tabs)
-        .filter(tab => tab.input instanceof vscode.TabInputText)
-        .map(tab => tab.input.uri);
+    // Get all restorable tabs, keeping each group's order
+    const openEditors = vscode.window.tabGroups.all.flatMap(group =>
+        group.tabs
+            .map(tab => ({ tab, input: tabInputs.describeTabInput(tab.input) }))
+            .filter(({ input }) => input !== null)
+            .map(({ tab, input }) => Object.assign(input, {
+                label: tab.label,
+                viewColumn: group.viewColumn,
+                index: group.tabs.indexOf(tab),
+                isPinned: tab.isPinned,
+                isActive: tab.isActive
+            }))
+    );
 
-    // Also include any open text documents
+    // Also include any open text documents that have no tab of their own
+    const tabUris = new Set(openEditors.map(tab => tab.uri.toString()));
     const openDocuments = vscode.workspace.textDocuments
         .filter(doc => !doc.isUntitled && doc.uri.scheme === 'file')
-        .map(doc => doc.uri);
+        .filter(doc => !tabUris.has(doc.uri.toString()))
+        .map(doc => ({
+            kind: 'text',
+            uri: doc.uri,
+            viewColumn: null,
+            index: null,
+            isPinned: false,
+            isActive: false
+        }));
+
+    // Deduplicate documents, but keep a file open in several groups or editors once per group and editor
+    const allTabs = [...openEditors, ...openDocuments];
+    const uniqueTabs = [...new Map(allTabs.map(tab =>
+        [`${tab.viewColumn}:${tabInputs.getEditorKey(tab.kind, tab.uri)}`, tab]
+    )).values()];
+
+    return uniqueTabs;
+}
+
+/**
+ * Get the focused editor group and the split layout of all groups
+ */
+async function getEditorLayout() {
+    const activeGroup = vscode.window.tabGroups.activeTabGroup;
+    let layout = null;
+
+    try {
+        layout = await vscode.commands.executeCommand('vscode.getEditorLayout');
+    } catch (error) {
+        console.error('Failed to read editor layout:', error);
+    }
+
+    return {
+        activeViewColumn: activeGroup ? activeGroup.viewColumn : null,
+        layout: layout || null
+    };
+}
+
+/**
+ * Add file metadata to an open tab, without loading its document
+ *
+ * The language is only known for text documents that are already loaded.
+ */
+function getTabInfo(tab) {
+    const uri = tab.uri;
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    const doc = tabInputs.isTextKind(tab.kind)
+        ? vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString())
+        : undefined;
+
+    // Cursor, scroll and folds are only known for text files shown this session
+    const state = tab.kind === 'text' ? (editorState.getState(uri, tab.viewColumn) || {}) : {};
+
+    return Object.assign({}, tab, state, {
+        fileName: uri.path.split('/').pop(),
+        languageId: doc ? doc.languageId : tab.notebookType || tab.viewType || 'unknown',
+        relativePath: vscode.workspace.asRelativePath(uri),
+        workspaceFolder: folder ? folder.name : null
+    });
+}
+
+/**
+ * Add file metadata to open tabs
+ */
+function getTabsWithInfo(openTabs) {
+    return Promise.all(
+        openTabs.map(async (tab) => {
+            const info = getTabInfo(tab);
+
+            if (tabInputs.isTextKind(tab.kind) && info.languageId === 'unknown') {
+                try {
+                    const doc = await vscode.workspace.openTextDocument(tab.uri);
+                    info.languageId = doc.languageId;
+                } catch (error) {
+                    info.languageId = 'unknown';
+                }
+            }
+
+            return info;
+        })
+    );
+}
+
+/**
+ * Turn files into tabs with file metadata, as if opened as text editors
+ */
+function getFileTabsWithInfo(uris) {
+    return getTabsWithInfo(uris.map(uri => ({
+        kind: 'text',
+        uri: uri,
+        viewColumn: null,
+        index: null,
+        isPinned: false,
+        isActive: false
+    })));
+}
+
+/**
+ * Get the open tabs to save without asking, and the editor layout
+ *
+ * Files matching tabHero.save.excludePatterns are left out, as they start
+ * unpicked when the user picks the tabs.
+ */
+async function getOpenTabsToSave() {
+    const excludePatterns = config.getExcludePatterns();
+    const tabs = (await getTabsWithInfo(getOpenTabs()))
+        .filter(tab => !tabPaths.matchesAnyGlob(tabPaths.getPathInFolder(tab.uri), excludePatterns));
 
-    // Combine and deduplicate
-    const allUris = [...openEditors, ...openDocuments];
-    const uniqueUris = [...new Map(allUris.map(uri => [uri.toString(), uri])).values()];
+    return { tabs, layout: await getEditorLayout() };
+}
 
-    return uniqueUris;
+/**
+ * Get all workspace folders
+ */
+function getWorkspaceFolders() {
+    return vscode.workspace.workspaceFolders || [];
 }
 
 /**
- * Get workspace folder path
+ * Get workspace folder path of the folder that holds tab set storage
  */
 function getWorkspacePath() {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders || workspaceFolders.length === 0) {
+    return storageFolder ? storageFolder.uri.fsPath : null;
+}
+
+/**
+ * Pick the folder that holds tab set storage
+ *
+ * The choice is remembered, so reordering or adding folders in a multi-root
+ * workspace doesn't move the sets to another folder's tab-hero.json.
+ */
+function getStorageFolder(context) {
+    const workspaceFolders = getWorkspaceFolders();
+    if (workspaceFolders.length === 0) {
         return null;
     }
-    return workspaceFolders[0].uri.fsPath;
+
+    const savedUri = context.workspaceState.get('tabHero.storageFolder');
+    const savedFolder = workspaceFolders.find(folder => folder.uri.toString() === savedUri);
+    if (savedFolder) {
+        return savedFolder;
+    }
+
+    context.workspaceState.update('tabHero.storageFolder', workspaceFolders[0].uri.toString());
+    return workspaceFolders[0];
+}
+
+/**
+ * Detect the git branch of every workspace folder the tabs belong to
+ *
+ * The set's primary branch is the branch of the folder holding most of the tabs.
+ */
+async function getBranchesForTabs(tabs) {
+    const tabCounts = new Map();
+    tabs.forEach(tab => {
+        const folderName = tabPaths.getTabFolderName(tab);
+        if (folderName) {
+            tabCounts.set(folderName, (tabCounts.get(folderName) || 0) + 1);
+        }
+    });
+
+    const branches = {};
+    for (const folder of getWorkspaceFolders()) {
+        if (tabCounts.has(folder.name)) {
+            const branch = await gitHelper.getCurrentBranch(folder.uri.fsPath);
+            if (branch) {
+                branches[folder.name] = branch;
+            }
+        }
+    }
+
+    const primaryFolder = [...tabCounts.keys()]
+        .filter(name => branches[name])
+        .sort((a, b) => tabCounts.get(b) - tabCounts.get(a))[0];
+
+    const branch = primaryFolder
+        ? branches[primaryFolder]
+        : await gitHelper.getCurrentBranch(getWorkspacePath());
+
+    return { branch, branches };
+}
+
+/**
+ * Suggest a name for a new tab set from the tabHero.save.nameTemplate setting
+ *
+ * ${branch} falls back to the folder name outside a git repository.
+ */
+function getDefaultTabSetName(branch, tabs) {
+    const folderName = (tabs.find(tab => tab.workspaceFolder) || {}).workspaceFolder ||
+        (storageFolder ? storageFolder.name : '');
+    const now = new Date();
+    const values = {
+        branch: branch || folderName,
+        folder: folderName,
+        date: now.toLocaleDateString(),
+        time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    };
+
+    const name = config.getNameTemplate()
+        .replace(/\$\{(\w+)\}/g, (token, key) => values[key] !== undefined ? values[key] : token)
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return name || 'Unnamed tab set';
+}
+
+/**
+ * Describe a tab set's branches for display
+ */
+function formatBranches(tabSet) {
+    const folderBranches = tabSet.branches ? Object.keys(tabSet.branches) : [];
+
+    if (folderBranches.length > 1) {
+        return folderBranches.map(name => `${name}: ${tabSet.branches[name]}`).join(', ');
+    }
+
+    return tabSet.branch;
 }
 
 /**
  * Format a tab set for the quick pick menu
  */
 function formatTabSetForQuickPick(tabSet) {
-    const branchLabel = tabSet.branch ? ` [${tabSet.branch}]` : '';
+    const branches = formatBranches(tabSet);
+    const branchLabel = branches ? ` [${branches}]` : '';
     const favoriteLabel = tabSet.isFavorite ? ' ⭐' : '';
     const tabCount = tabSet.tabs.length;
     const date = new Date(tabSet.updatedAt).toLocaleString();
 
+    const storeLabel = storage.getStoreLabel(tabSet.store);
+
+    // Tags first, then the first few file names
+    const fileNames = tabSet.tabs.slice(0, DETAIL_FILE_COUNT).map(t => t.fileName).join(', ');
+    const moreFiles = tabCount > DETAIL_FILE_COUNT ? ` +${tabCount - DETAIL_FILE_COUNT} more` : '';
+    const tags = (tabSet.tags || []).map(tag => `#${tag}`).join(' ');
+    const slot = storage.getSlot(tabSet.id);
+    const slotLabel = slot !== null ? `[${slot}] ` : '';
+
     return {
-        label: `${tabSet.name}${favoriteLabel}${branchLabel}`,
-        description: `${tabCount} tab${tabCount !== 1 ? 's' : ''} • ${date}`,
-        detail: tabSet.tabs.map(t => t.fileName).join(', '),
+        label: `${slotLabel}${tabSet.name}${favoriteLabel}${branchLabel}`,
+        description: `${storeLabel} • ${tabCount} tab${tabCount !== 1 ? 's' : ''} • ${date}`,
+        detail: [tags, `${fileNames}${moreFiles}`].filter(Boolean).join(' • '),
         tabSet: tabSet
     };
 }
 
+/**
+ * Let the user pick open tabs, all selected by default
+ *
+ * Returns the selected tabs with file metadata and the current editor layout,
+ * or null when no tabs are open or the user cancelled or selected nothing.
+ */
+async function pickOpenTabs(placeHolder) {
+    const openTabs = getOpenTabs();
+
+    if (openTabs.length === 0) {
+        vscode.window.showWarningMessage('No tabs are currently open.');
+        return null;
+    }
+
+    // Convert URIs to documents with metadata
+    const allTabsWithInfo = await getTabsWithInfo(openTabs);
+    const layout = await getEditorLayout();
+    const tabs = await pickTabs(allTabsWithInfo, placeHolder);
+
+    return tabs ? { tabs, layout } : null;
+}
+
+/**
+ * Let the user pick from tabs with file metadata, all selected by default
+ *
+ * Returns the selected tabs, or null when the user cancelled or selected nothing.
+ */
+async function pickTabs(tabsWithInfo, placeHolder) {
+    const groupCount = vscode.window.tabGroups.all.length;
+    const excludePatterns = config.getExcludePatterns();
+
+    // Show multi-select quick pick for tab selection
+    const tabPickItems = tabsWithInfo.map(tab => ({
+        label: `${tab.isPinned ? '$(pinned) ' : ''}${tab.fileName}`,
+        description: [
+            groupCount > 1 && tab.viewColumn ? `Group ${tab.viewColumn}` : '',
+            tab.relativePath !== tab.fileName ? tab.relativePath : ''
+        ].filter(Boolean).join(' • '),
+        detail: tab.kind === 'text' ? `Language: ${tab.languageId}` : `${TAB_KIND_LABELS[tab.kind]}: ${tab.label}`,
+        // All selected by default, except files matching tabHero.save.excludePatterns
+        picked: !tabPaths.matchesAnyGlob(tabPaths.getPathInFolder(tab.uri), excludePatterns),
+        tabInfo: tab
+    }));
+
+    const selectedItems = await vscode.window.showQuickPick(tabPickItems, {
+        canPickMany: true,
+        placeHolder: placeHolder
+    });
+
+    if (!selectedItems || selectedItems.length === 0) {
+        return null;
+    }
+
+    return selectedItems.map(item => item.tabInfo);
+}
+
+/**
+ * Let the user pick a workspace folder that is a git repository
+ */
+async function pickGitFolder(placeHolder) {
+    const folders = getWorkspaceFolders().filter(folder => folder.uri.scheme === 'file');
+
+    if (folders.length === 0) {
+        vscode.window.showErrorMessage('No workspace folder open. Please open a folder first.');
+        return null;
+    }
+
+    const folder = folders.length === 1
+        ? folders[0]
+        : await vscode.window.showWorkspaceFolderPick({ placeHolder });
+
+    if (folder && !await gitHelper.isGitRepository(folder.uri.fsPath)) {
+        vscode.window.showErrorMessage(`"${folder.name}" is not a git repository.`);
+        return null;
+    }
+
+    return folder || null;
+}
+
+/**
+ * Save files listed by git as a new tab set
+ *
+ * The files can be saved as they are or reviewed in the tab picker first.
+ * Nothing is opened or closed. The source completes "files ...", e.g.
+ * "changed since main".
+ */
+async function saveFilesAsTabSet(files, defaultName, source) {
+    if (!files) {
+        vscode.window.showErrorMessage(`Failed to list the files ${source}. See the extension log for the git error.`);
+        return;
+    }
+
+    if (files.length === 0) {
+        vscode.window.showInformationMessage(`No files ${source}.`);
+        return;
+    }
+
+    const allTabsWithInfo = await getFileTabsWithInfo(files.map(file => vscode.Uri.file(file)));
+
+    const fileCount = `${files.length} file${files.length !== 1 ? 's' : ''}`;
+    const choice = await vscode.window.showQuickPick([
+        { label: `$(save) Save All ${fileCount}`, review: false },
+        { label: '$(checklist) Review Files...', review: true }
+    ], {
+        placeHolder: `Found ${fileCount} ${source}`
+    });
+
+    if (!choice) {
+        return; // User cancelled
+    }
+
+    const tabs = choice.review
+        ? await pickTabs(allTabsWithInfo, 'Select files to include in this set (all selected by default)')
+        : allTabsWithInfo;
+
+    if (!tabs) {
+        return; // User cancelled or selected nothing
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: 'Enter a name for this tab set',
+        placeHolder: defaultName,
+        value: defaultName
+    });
+
+    if (!name) {
+        return; // User cancelled
+    }
+
+    const { branch, branches } = await getBranchesForTabs(tabs);
+    const saved = storage.saveTabSet(name, tabs, branch, false, { branches, store: config.getDefaultStore() });
+
+    const storeInfo = saved.store !== 'personal' ? ` to the ${storage.getStoreLabel(saved.store).toLowerCase()} tab sets` : '';
+    const action = await vscode.window.showInformationMessage(
+        `✓ Saved "${name}"${storeInfo} with ${tabs.length} tab${tabs.length !== 1 ? 's' : ''}.`,
+        'Open Tab Set'
+    );
+
+    if (action === 'Open Tab Set') {
+        await vscode.commands.executeCommand('extension.openTabSet', { tabSet: saved });
+    }
+}
+
+/**
+ * Get the tab set a command argument refers to
+ *
+ * Besides a Tab Hero view node, commands run from keybindings, tasks or other
+ * extensions accept a tab set ID or name, { id }, { name }, or
+ * { branch, folder } for a branch's latest set. Returns undefined without an
+ * argument, so the command prompts, and null after telling the user when no
+ * set matches.
+ */
+function resolveTabSetArgument(arg) {
+    let tabSet;
+    let description;
+
+    if (arg && arg.tabSet) {
+        tabSet = storage.getTabSetById(arg.tabSet.id);
+        description = `"${arg.tabSet.name}"`;
+    } else if (typeof arg === 'string' || (arg && (arg.id || arg.name))) {
+        const idOrName = typeof arg === 'string' ? arg : String(arg.id || arg.name);
+        tabSet = storage.findTabSet(idOrName);
+        description = `"${idOrName}"`;
+    } else if (arg && arg.branch) {
+        tabSet = storage.getLatestTabSetForBranch(String(arg.branch), arg.folder || null);
+        description = `branch "${arg.branch}"`;
+    } else {
+        return undefined;
+    }
+
+    if (!tabSet) {
+        vscode.window.showWarningMessage(`No tab set found for ${description}.`);
+        return null;
+    }
+
+    return tabSet;
+}
+
+/**
+ * Turn a file given to a command or the API into a URI
+ *
+ * Takes URIs, URI strings, absolute paths and paths relative to the
+ * folder holding tab set storage. Returns null for anything else.
+ */
+function toFileUri(file) {
+    if (file instanceof vscode.Uri) {
+        return file;
+    }
+    if (typeof file !== 'string' || !file.trim()) {
+        return null;
+    }
+    // A scheme of two or more letters, so Windows drive letters stay paths
+    if (/^[a-z][\w+.-]+:\/\//i.test(file)) {
+        return vscode.Uri.parse(file);
+    }
+    if (path.isAbsolute(file)) {
+        return vscode.Uri.file(file);
+    }
+
+    return storageFolder ? vscode.Uri.joinPath(storageFolder.uri, ...file.split(/[\\/]/)) : null;
+}
+
+/**
+ * Save a tab set without asking, for command arguments and the API
+ *
+ * Options: name (defaults to the tabHero.save.nameTemplate name), files
+ * (URIs or paths; the open tabs when left out), store (defaults to the
+ * tabHero.defaultStore setting) and favorite. No tabs are closed.
+ * Resolves to the saved set, or throws when there is nothing to save or the
+ * store isn't available.
+ */
+async function saveTabSetWithOptions(options) {
+    let tabs;
+    let layout = {};
+
+    if (Array.isArray(options.files)) {
+        tabs = await getFileTabsWithInfo(options.files.map(toFileUri).filter(Boolean));
+    } else {
+        ({ tabs, layout } = await getOpenTabsToSave());
+    }
+
+    if (tabs.length === 0) {
+        throw new Error('No files to save.');
+    }
+
+    const { branch, branches } = await getBranchesForTabs(tabs);
+    const name = typeof options.name === 'string' && options.name.trim()
+        ? options.name.trim()
+        : getDefaultTabSetName(branch, tabs);
+    const store = options.store || config.getDefaultStore();
+    const storeNames = storage.getStores().map(info => info.name);
+
+    // Checked here rather than left to fall back, as unsaved content is captured for this store
+    if (options.store && !storeNames.includes(options.store)) {
+        throw new Error(`Unknown or unavailable store "${options.store}". Use one of: ${storeNames.join(', ')}.`);
+    }
+
+    return storage.saveTabSet(name, await unsavedContent.capture(tabs, store, false), branch, !!options.favorite,
+        Object.assign({ branches, store }, layout));
+}
+
+/**
+ * Open the tab set a vscode://devtanc.tab-hero/open link names
+ *
+ * The query picks the set by id, name or branch (with folder in a multi-root
+ * workspace) and can set the restore mode, e.g. "open?name=Review&mode=newGroup".
+ * As anyone can send a link, mode=replace asks before closing the open tabs.
+ * Without a set the picker opens.
+ */
+async function handleUri(uri) {
+    if (uri.path.replace(/\/+$/, '') !== '/open') {
+        vscode.window.showWarningMessage(`Unknown Tab Hero link: ${uri.toString()}`);
+        return;
+    }
+
+    const params = new URLSearchParams(uri.query);
+    const arg = {};
+
+    ['id', 'name', 'branch', 'folder', 'mode'].forEach(key => {
+        if (params.get(key)) {
+            arg[key] = params.get(key);
+        }
+    });
+
+    if (arg.mode === 'replace') {
+        const choice = await vscode.window.showWarningMessage(
+            'A Tab Hero link wants to close your open tabs and replace them with a tab set.',
+            { modal: true },
+            'Replace Open Tabs',
+            'Keep Them Open'
+        );
+
+        if (!choice) {
+            return;
+        }
+        arg.mode = choice === 'Replace Open Tabs' ? 'replace' : 'merge';
+    }
+
+    const namesSet = arg.id || arg.name || arg.branch;
+    await vscode.commands.executeCommand('extension.openTabSet', namesSet ? arg : undefined, arg.mode);
+}
+
+/**
+ * Get the tab set a command was invoked on, from the Tab Hero view or an
+ * argument, or let the user pick one
+ */
+async function pickTabSet(node, placeHolder) {
+    const tabSet = resolveTabSetArgument(node);
+
+    if (tabSet !== undefined) {
+        return tabSet;
+    }
+
+    if (storage.getAllTabSets().length === 0) {
+        vscode.window.showInformationMessage('No saved tab sets found.');
+        return null;
+    }
+
+    return tabSetPicker.pick({ placeHolder });
+}
+
+/**
+ * Get the quick-switch slot a command was invoked for, 1 to SLOT_COUNT,
+ * or let the user pick one
+ *
+ * Keybindings pass the slot number; from the command palette there is none.
+ */
+async function pickSlot(slot, placeHolder) {
+    const given = Number(slot);
+
+    if (Number.isInteger(given) && given >= 1 && given <= SLOT_COUNT) {
+        return given;
+    }
+
+    const slots = storage.getSlots();
+    const items = [];
+
+    for (let number = 1; number <= SLOT_COUNT; number++) {
+        const tabSet = slots.get(number);
+        items.push({
+            label: `Slot ${number}`,
+            description: tabSet ? tabSet.name : 'Empty',
+            slot: number
+        });
+    }
+
+    const selected = await vscode.window.showQuickPick(items, { placeHolder });
+    return selected ? selected.slot : null;
+}
+
+/**
+ * Report a restore, offering to repair the set when files failed to open
+ */
+async function showRestoreMessage(message, tabSet, result) {
+    if (result.failedCount === 0) {
+        vscode.window.showInformationMessage(message);
+        return;
+    }
+
+    const choice = await vscode.window.showWarningMessage(message, 'Repair Tab Set');
+
+    if (choice === 'Repair Tab Set') {
+        await vscode.commands.executeCommand('extension.repairTabSet', { tabSet });
+    }
+}
+
+/**
+ * Let the user pick a store to save tab sets to, or null when cancelled
+ *
+ * The store named by exclude, e.g. the one a set is already in, isn't offered.
+ */
+async function pickStore(placeHolder, exclude = null) {
+    const stores = storage.getStores().filter(store => store.name !== exclude);
+
+    if (stores.length <= 1) {
+        return stores.length === 1 ? stores[0].name : null;
+    }
+
+    const selected = await vscode.window.showQuickPick(stores.map(store => ({
+        label: store.label,
+        description: store.description,
+        name: store.name
+    })), { placeHolder });
+
+    return selected ? selected.name : null;
+}
+
+/**
+ * Ask before changing a shared tab set, as the change reaches everyone who
+ * uses the committed tab-hero.json
+ *
+ * Returns true for personal sets or when the user confirms.
+ */
+async function confirmSharedEdit(tabSet) {
+    if (!tabSet || tabSet.store !== 'shared') {
+        return true;
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+        `"${tabSet.name}" is a shared tab set. Change it in .vscode/tab-hero.json for everyone who uses it?`,
+        { modal: true },
+        'Edit Shared Set'
+    );
+
+    return choice === 'Edit Shared Set';
+}
+
 /**
  * Close tabs by their URIs
+ *
+ * Takes URIs, which close every editor of the file, or open tabs from
+ * getOpenTabs, which close only the same kind of editor (text, diff, ...).
+ * A diff is matched by its modified side. Unsaved editors whose content was
+ * saved with a set, the tabs in keptTabs that carry content, stay open rather
+ * than prompting; other unsaved editors prompt as usual.
  */
-async function closeTabsByUris(urisToClose) {
+async function closeTabsByUris(urisToClose, keptTabs = []) {
     let closedCount = 0;
-    const uriStrings = urisToClose.map(uri => uri.toString());
+    const keys = new Set(urisToClose.map(item => item instanceof vscode.Uri
+        ? item.toString()
+        : tabInputs.getEditorKey(item.kind, item.uri)));
+    const keptKeys = new Set(keptTabs
+        .filter(tab => typeof tab.content === 'string')
+        .map(tab => tabInputs.getEditorKey(tab.kind, tab.uri)));
 
     // Iterate through all tab groups
     for (const group of vscode.window.tabGroups.all) {
         for (const tab of group.tabs) {
-            if (tab.input instanceof vscode.TabInputText) {
-                const tabUriString = tab.input.uri.toString();
+            const input = tabInputs.describeTabInput(tab.input);
+            if (!input || (tab.isDirty && keptKeys.has(tabInputs.getEditorKey(input.kind, input.uri)))) {
+                continue;
+            }
+
+            const tabUriString = input.uri.toString();
 
-                if (uriStrings.includes(tabUriString)) {
-                    try {
-                        await vscode.window.tabGroups.close(tab);
+            if (keys.has(tabUriString) || keys.has(tabInputs.getEditorKey(input.kind, input.uri))) {
+                try {
+                    // False when the user kept an unsaved editor open
+                    if (await vscode.window.tabGroups.close(tab)) {
                         closedCount++;
-                    } catch (error) {
-                        console.error(`Failed to close tab ${tabUriString}:`, error);
                     }
+                } catch (error) {
+                    console.error(`Failed to close tab ${tabUriString}:`, error);
                 }
             }
         }
     }
 
-    return closedCount;
-}
+    return closedCount;
+}
+
+/**
+ * Find a tab set for a branch that has none, following the
+ * tabHero.branches.inheritFrom chain
+ *
+ * origin is the branch's gitHelper.getBranchOrigin. Returns { branch, tabSet }
+ * for the first branch in the chain with a set, or null.
+ */
+async function findInheritedTabSet(folder, previousBranch, newBranch, origin) {
+    const folderPath = folder.uri.fsPath;
+    const folderName = getWorkspaceFolders().length > 1 ? folder.name : null;
+    const remotes = await gitHelper.getRemotes(folderPath);
+
+    // Sets are saved under local branch names, so "origin/develop" means "develop"
+    const withoutRemote = branch => {
+        const slash = branch.indexOf('/');
+        return slash > 0 && remotes.includes(branch.slice(0, slash)) ? branch.slice(slash + 1) : branch;
+    };
+
+    for (const source of config.getInheritFrom()) {
+        let branch;
+
+        if (source === 'parent') {
+            branch = (origin && origin.createdFrom) || previousBranch;
+        } else if (source === 'previous') {
+            branch = previousBranch;
+        } else if (source === 'upstream') {
+            branch = await gitHelper.getUpstreamBranch(folderPath, newBranch);
+        } else if (source === 'default') {
+            branch = await gitHelper.getDefaultBranch(folderPath);
+        } else {
+            branch = source;
+        }
+
+        branch = branch ? withoutRemote(branch) : null;
+        const tabSet = branch && branch !== newBranch ? storage.getLatestTabSetForBranch(branch, folderName) : null;
+
+        if (tabSet) {
+            return { branch, tabSet };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Offer a branch without tab sets a copy of another branch's set
+ *
+ * Accepting saves the copy as a personal set for the branch and restores it.
+ * Resolves to false when there was nothing to offer.
+ */
+async function offerInheritedTabSet(folder, previousBranch, newBranch, origin) {
+    const inherited = await findInheritedTabSet(folder, previousBranch, newBranch, origin);
+
+    if (!inherited) {
+        return false;
+    }
+
+    const folderName = getWorkspaceFolders().length > 1 ? folder.name : null;
+    const branchName = folderName ? `${folderName}: ${newBranch}` : newBranch;
+    const choice = await vscode.window.showInformationMessage(
+        `No tab set for "${branchName}" yet. Start it with a copy of "${inherited.tabSet.name}" from "${inherited.branch}"?`,
+        'Copy and Open',
+        'Not Now'
+    );
+
+    if (choice !== 'Copy and Open') {
+        return true;
+    }
+
+    const copy = storage.inheritTabSet(inherited.tabSet.id, inherited.branch, newBranch, folderName);
+
+    if (!copy) {
+        vscode.window.showErrorMessage('Failed to copy tab set');
+        return true;
+    }
+
+    const result = await restoreService.restore(copy, { mode: 'merge', workspaceFolder: folderName });
+    showRestoreMessage(`Saved "${copy.name}" for "${branchName}" and opened ${restoreService.describe(result)}`, copy, result);
+    return true;
+}
+
+/**
+ * Find the personal and shared tab sets whose branches no longer exist,
+ * locally or on a remote
+ *
+ * Returns [{ tabSet, branches }], where branches are { folderName, branch,
+ * renamedTo } for each branch checked, renamedTo being the branch's new name
+ * when git recorded a rename. Sets of folders that aren't open, detached
+ * HEADs and archived sets are left alone.
+ */
+async function findStaleTabSets() {
+    const folders = getWorkspaceFolders();
+    const multiRoot = folders.length > 1;
+    const folderBranches = new Map();
+
+    const getKnownBranches = async folder => {
+        if (!folderBranches.has(folder.name)) {
+            const names = folder.uri.scheme === 'file' ? await gitHelper.getBranchNames(folder.uri.fsPath) : null;
+            folderBranches.set(folder.name, names && {
+                names,
+                renames: await gitHelper.getBranchRenames(folder.uri.fsPath)
+            });
+        }
+        return folderBranches.get(folder.name);
+    };
+
+    const stale = [];
+
+    for (const tabSet of storage.getAllTabSets()) {
+        if (tabSet.store === 'global' || (tabSet.tags || []).some(tag => tag.toLowerCase() === ARCHIVED_TAG)) {
+            continue;
+        }
+
+        const entries = tabSet.branches && Object.keys(tabSet.branches).length > 0
+            ? Object.keys(tabSet.branches).map(name => [name, tabSet.branches[name]])
+            : [[null, tabSet.branch]];
+        const branches = [];
+        let exists = false;
+
+        for (const [name, branch] of entries) {
+            const folder = folders.find(item => item.name === name) || (!multiRoot ? folders[0] : null);
+
+            // Detached HEADs are keyed "tag:..." or "commit:...", which branch names can't be
+            if (!folder || !branch || branch.includes(':')) {
+                continue;
+            }
+
+            const known = await getKnownBranches(folder);
+
+            if (known && known.names.has(branch)) {
+                exists = true;
+            } else if (known) {
+                const renamedTo = known.renames.get(branch);
+                branches.push({
+                    folderName: multiRoot ? folder.name : null,
+                    branch,
+                    renamedTo: renamedTo && known.names.has(renamedTo) ? renamedTo : null
+                });
+            }
+        }
+
+        if (!exists && branches.length > 0) {
+            stale.push({ tabSet, branches });
+        }
+    }
+
+    return stale;
+}
+
+/**
+ * Save the outgoing branch's tabs and restore the incoming branch's tab set
+ * for one workspace folder
+ *
+ * A renamed branch takes its tab sets along instead, and a new branch
+ * without sets is offered another branch's (offerInheritedTabSet).
+ */
+async function swapBranchTabs(folder, previousBranch, newBranch) {
+    const multiRoot = getWorkspaceFolders().length > 1;
+    const folderName = multiRoot ? folder.name : null;
+    const branchName = multiRoot ? `${folder.name}: ${newBranch}` : newBranch;
+    const origin = await gitHelper.getBranchOrigin(folder.uri.fsPath, newBranch);
+
+    if (origin && previousBranch && origin.renamedFrom === previousBranch) {
+        const movedCount = storage.replaceBranch(previousBranch, newBranch, { folderName });
+
+        if (movedCount > 0) {
+            vscode.window.showInformationMessage(
+                `Branch "${previousBranch}" was renamed to "${newBranch}". Moved its ${movedCount} tab set${movedCount !== 1 ? 's' : ''} along.`
+            );
+        }
+        return;
+    }
+
+    const isNewBranch = !!(origin && origin.isNew) && !storage.getLatestTabSetForBranch(newBranch, folderName);
+
+    // Recorded whether or not the tabs are swapped
+    await sessionHistory.snapshot(
+        `Before switching ${previousBranch ? `from ${previousBranch} ` : ''}to ${branchName}`,
+        undefined,
+        previousBranch ? { branch: previousBranch, branches: { [folder.name]: previousBranch } } : null
+    );
+
+    if (!config.isAutoSwitchEnabled()) {
+        if (isNewBranch) {
+            await offerInheritedTabSet(folder, previousBranch, newBranch, origin);
+        }
+        return;
+    }
+
+    if (config.getAutoSwitchMode() === 'prompt') {
+        const choice = await vscode.window.showInformationMessage(
+            `Branch changed to "${branchName}". Swap tab sets?`,
+            'Swap Tabs',
+            'Not Now'
+        );
+
+        if (choice !== 'Swap Tabs') {
+            return;
+        }
+    }
+
+    try {
+        // Snapshot the folder's tabs for the outgoing branch, replacing its previous snapshot
+        const openTabs = multiRoot
+            ? getOpenTabs().filter(tab => tabPaths.getTabFolderName(tab) === folder.name)
+            : getOpenTabs();
+        let closedCount = 0;
+
+        if (previousBranch && openTabs.length > 0) {
+            const tabs = await unsavedContent.capture(await getTabsWithInfo(openTabs), 'personal', false);
+            const layout = await getEditorLayout();
+            const name = multiRoot ? `${folder.name}: ${previousBranch} tabs` : `${previousBranch} tabs`;
+            const snapshot = storage.saveTabSet(name, tabs, previousBranch, false,
+                Object.assign({ isAutoSaved: true, store: 'personal', branches: { [folder.name]: previousBranch } }, layout));
+            storage.pruneAutoSavedTabSets(previousBranch, snapshot.id, multiRoot ? folder.name : null);
+            closedCount = await closeTabsByUris(openTabs, tabs);
+        }
+
+        const tabSet = storage.getLatestTabSetForBranch(newBranch, folderName);
+
+        if (!tabSet) {
+            if (isNewBranch && await offerInheritedTabSet(folder, previousBranch, newBranch, origin)) {
+                return;
+            }
+
+            vscode.window.showInformationMessage(
+                `Switched to "${branchName}". Closed ${closedCount} tab${closedCount !== 1 ? 's' : ''}, no saved tab set for this branch.`
+            );
+            return;
+        }
+
+        // The outgoing tabs are already closed, so only add the incoming ones
+        const result = await restoreService.restore(tabSet, {
+            mode: 'merge',
+            workspaceFolder: multiRoot ? folder.name : null
+        });
+
+        showRestoreMessage(
+            `Switched to "${branchName}": restored "${tabSet.name}" with ${restoreService.describe(result)}`,
+            tabSet,
+            result
+        );
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to swap branch tabs: ${error.message}`);
+    }
+}
+
+/**
+ * Initialize storage in the storage folder
+ */
+function initializeStorage(context) {
+    storageFolder = getStorageFolder(context);
+
+    try {
+        // The global library is there even without a folder open
+        storage.initialize(
+            storageFolder ? storageFolder.uri.fsPath : null,
+            context.storageUri ? context.storageUri.fsPath : null,
+            context.globalStorageUri.fsPath
+        );
+
+        // Snapshots are kept per workspace, or for all windows without a folder
+        sessionHistory.initialize(
+            storageFolder && context.storageUri ? context.storageUri.fsPath : context.globalStorageUri.fsPath,
+            storageFolder ? storageFolder.uri.fsPath : null
+        );
+    } catch (error) {
+        console.error('Failed to initialize storage:', error);
+    }
+}
+
+/**
+ * Get the branch of the active editor's workspace folder, or of the folder
+ * holding tab set storage, as last seen by its branch watcher
+ *
+ * Returns { folder, branch }, or null when the folder isn't a git repository.
+ */
+function getActiveBranch() {
+    const editor = vscode.window.activeTextEditor;
+    const folder = (editor && vscode.workspace.getWorkspaceFolder(editor.document.uri)) || storageFolder;
+    const watcher = folder ? branchWatchers.get(folder.uri.toString()) : null;
+
+    return watcher && watcher.currentBranch ? { folder, branch: watcher.currentBranch } : null;
+}
+
+/**
+ * Start a branch watcher for each workspace folder and stop those of removed folders
+ */
+function syncBranchWatchers() {
+    const folders = getWorkspaceFolders();
+    const folderKeys = new Set(folders.map(folder => folder.uri.toString()));
+
+    for (const [key, watcher] of branchWatchers) {
+        if (!folderKeys.has(key)) {
+            watcher.dispose();
+            branchWatchers.delete(key);
+        }
+    }
+
+    for (const folder of folders) {
+        const key = folder.uri.toString();
+        if (branchWatchers.has(key)) {
+            continue;
+        }
+
+        const watcher = new BranchWatcher(folder.uri.fsPath, (previousBranch, newBranch) => {
+            tabSetStatusBar.refresh();
+            return swapBranchTabs(folder, previousBranch, newBranch);
+        });
+        watcher.start()
+            .then(() => tabSetStatusBar.refresh())
+            .catch(error => console.error(`Failed to start branch watcher for ${folder.name}:`, error));
+        branchWatchers.set(key, watcher);
+    }
+}
+
+function activate(context) {
+    console.log('Tab Hero is now active!');
+
+    // Track cursor, scroll and fold state so it can be saved with tab sets
+    editorState.start(context);
+
+    // Searchable tab set picker, remembering its sort order across windows
+    tabSetPicker = new TabSetPicker(formatTabSetForQuickPick, context.globalState);
+
+    // Tab Hero view, refreshed whenever the tab sets change
+    tabSetsProvider = new TabSetTreeProvider(formatTabSetForQuickPick, getWorkspacePath, confirmSharedEdit);
+    const tabSetsView = vscode.window.createTreeView('tabHero.tabSets', {
+        treeDataProvider: tabSetsProvider,
+        dragAndDropController: tabSetsProvider,
+        canSelectMany: true,
+        showCollapseAll: true
+    });
+    context.subscriptions.push(tabSetsProvider, tabSetsView, storage);
+
+    // Status bar item for the current branch's tab set
+    tabSetStatusBar = new TabSetStatusBar(getOpenTabs, getActiveBranch);
+    context.subscriptions.push(tabSetStatusBar);
+
+    // Initialize storage
+    initializeStorage(context);
+
+    // Snapshot the open tabs on branch changes, bulk closes, periodically and on close
+    sessionHistory.start(context, () => getOpenTabs().map(getTabInfo), getBranchesForTabs);
+
+    // Watch each folder's branch to swap tab sets automatically
+    syncBranchWatchers();
+
+    // Follow folders being added, removed or reordered
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            initializeStorage(context);
+            syncBranchWatchers();
+        }),
+        {
+            dispose() {
+                branchWatchers.forEach(watcher => watcher.dispose());
+                branchWatchers.clear();
+            }
+        },
+        // Keep personal and global sets pointing at files renamed in the editor
+        vscode.workspace.onDidRenameFiles(event => {
+            storage.renameFiles(event.files);
+        }),
+        // Links like vscode://devtanc.tab-hero/open?name=Review
+        vscode.window.registerUriHandler({ handleUri })
+    );
+
+    // Command: Save Tab Set, to the given store or the default one
+    //
+    // Given options instead ({ name, files, store, favorite }), saves without
+    // asking and returns the saved set.
+    let saveTabSet = vscode.commands.registerCommand('extension.saveTabSet', async function (storeName) {
+        try {
+            if (storeName && typeof storeName === 'object') {
+                const saved = await saveTabSetWithOptions(storeName);
+                vscode.window.showInformationMessage(`✓ Saved "${saved.name}" with ${saved.tabs.length} tab${saved.tabs.length !== 1 ? 's' : ''}.`);
+                return saved;
+            }
+
+            // Let the user choose which open tabs to save
+            const picked = await pickOpenTabs('Select tabs to include in this set (all selected by default)');
+
+            if (!picked) {
+                return; // Nothing open, user cancelled or selected nothing
+            }
+
+            const { tabs, layout } = picked;
+
+            // Get the git branch of each folder the tabs belong to
+            const { branch: currentBranch, branches } = await getBranchesForTabs(tabs);
+
+            // Ask user for a name
+            const defaultName = getDefaultTabSetName(currentBranch, tabs);
+            const name = await vscode.window.showInputBox({
+                prompt: 'Enter a name for this tab set',
+                placeHolder: defaultName,
+                value: defaultName
+            });
+
+            if (!name) {
+                return; // User cancelled
+            }
+
+            // Ask if this should be a favorite, unless turned off with tabHero.save.askFavorite
+            let isFavorite = false;
+
+            if (config.shouldAskFavorite()) {
+                const favoriteChoice = await vscode.window.showQuickPick(
+                    ['No', 'Yes'],
+                    {
+                        placeHolder: 'Mark as favorite?'
+                    }
+                );
+
+                if (favoriteChoice === undefined) {
+                    return; // User cancelled
+                }
+
+                isFavorite = favoriteChoice === 'Yes';
+            }
+
+            // Keep the content of untitled and unsaved editors, per tabHero.save.unsavedContent
+            const store = typeof storeName === 'string' ? storeName : config.getDefaultStore();
+            const tabsToSave = await unsavedContent.capture(tabs, store);
+
+            if (!tabsToSave) {
+                return; // User cancelled
+            }
+
+            // Save the tab set
+            const saved = storage.saveTabSet(name, tabsToSave, currentBranch, isFavorite, Object.assign({ branches, store }, layout));
+
+            // Close all tabs that were saved, unless turned off with tabHero.save.closeTabs
+            const closeTabs = config.shouldCloseTabsOnSave();
+            const closedCount = closeTabs ? await closeTabsByUris(tabs, tabsToSave) : 0;
+
+            const branchNames = formatBranches({ branch: currentBranch, branches });
+            const branchInfo = branchNames ? ` (branch: ${branchNames})` : '';
+            const storeInfo = saved.store !== 'personal' ? ` to the ${storage.getStoreLabel(saved.store).toLowerCase()} tab sets` : '';
+            const closedInfo = closeTabs ? ` Closed ${closedCount} tab${closedCount !== 1 ? 's' : ''}.` : '';
+            vscode.window.showInformationMessage(
+                `✓ Saved "${name}"${storeInfo} with ${tabs.length} tab${tabs.length !== 1 ? 's' : ''}${branchInfo}.${closedInfo}`
+            );
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to save tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Open/Restore Tab Set
+    //
+    // Takes a tab set argument (see resolveTabSetArgument), optionally with a
+    // restore mode, e.g. { name: "Review", mode: "replace" }. Returns the
+    // restore result.
+    let openTabSet = vscode.commands.registerCommand('extension.openTabSet', async function (node, mode) {
+        try {
+            let tabSet = resolveTabSetArgument(node);
+
+            if (tabSet === null) {
+                return; // No set matches the argument
+            }
+
+            if (!tabSet) {
+                if (storage.getAllTabSets().length === 0) {
+                    vscode.window.showInformationMessage('No saved tab sets found. Save one first!');
+                    return;
+                }
+
+                // Favorites first, then in the order picked with the sort buttons
+                tabSet = await tabSetPicker.pick({
+                    title: 'Open Tab Set',
+                    placeHolder: 'Select a tab set to restore'
+                });
+
+                if (!tabSet) {
+                    return; // User cancelled
+                }
+            }
+
+            // Open all tabs from the selected set
+            const result = await restoreService.restore(tabSet, { mode: mode || (node && node.mode) });
+
+            if (!result.cancelled) {
+                showRestoreMessage(`Opened ${restoreService.describe(result)}`, tabSet, result);
+            }
+            return result;
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to open tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Open Tab Set with a restore mode chosen for this restore
+    let openTabSetWithMode = vscode.commands.registerCommand('extension.openTabSetWithMode', async function (node) {
+        const mode = await restoreService.pickMode();
+
+        if (mode) {
+            await vscode.commands.executeCommand('extension.openTabSet', node, mode);
+        }
+    });
+
+    // Command: Restore Branch Tabs (restore most recent for current branch)
+    //
+    // Given a branch name or { branch, folder, mode }, restores that branch's
+    // latest set instead of the checked out one's.
+    let restoreBranchTabs = vscode.commands.registerCommand('extension.restoreBranchTabs', async function (branchArg) {
+        const target = typeof branchArg === 'string' ? { branch: branchArg } : branchArg;
+
+        if (target && target.branch) {
+            try {
+                const tabSet = resolveTabSetArgument({ branch: target.branch, folder: target.folder });
+
+                if (tabSet) {
+                    const result = await restoreService.restore(tabSet, { mode: target.mode, workspaceFolder: target.folder });
+
+                    if (!result.cancelled) {
+                        showRestoreMessage(`Restored "${tabSet.name}" with ${restoreService.describe(result)}`, tabSet, result);
+                    }
+                    return result;
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Failed to restore branch tabs: ${error.message}`);
+            }
+            return;
+        }
+
+        const workspacePath = getWorkspacePath();
+        if (!workspacePath) {
+            vscode.window.showErrorMessage('No workspace folder open. Please open a folder first.');
+            return;
+        }
+
+        try {
+            const folders = getWorkspaceFolders();
+
+            if (folders.length <= 1) {
+                const currentBranch = await gitHelper.getCurrentBranch(workspacePath);
+
+                if (!currentBranch) {
+                    vscode.window.showWarningMessage('Not a git repository or unable to detect branch.');
+                    return;
+                }
+
+                const tabSet = storage.getLatestTabSetForBranch(currentBranch);
+
+                if (!tabSet) {
+                    // Offer the set of the branch this one came from, if any
+                    const origin = await gitHelper.getBranchOrigin(workspacePath, currentBranch);
+
+                    if (!await offerInheritedTabSet(storageFolder, null, currentBranch, origin)) {
+                        vscode.window.showInformationMessage(`No saved tab sets found for branch "${currentBranch}".`);
+                    }
+                    return;
+                }
+
+                // Open all tabs
+                const result = await restoreService.restore(tabSet);
+
+                if (!result.cancelled) {
+                    showRestoreMessage(`Restored "${tabSet.name}" with ${restoreService.describe(result)}`, tabSet, result);
+                }
+                return;
+            }
+
+            // Multi-root: each folder restores the latest set for its own branch
+            const folderItems = await Promise.all(folders.map(async folder => {
+                const branch = await gitHelper.getCurrentBranch(folder.uri.fsPath);
+                return {
+                    label: folder.name,
+                    description: branch || 'Not a git repository',
+                    folders: [folder]
+                };
+            }));
+
+            const selected = await vscode.window.showQuickPick([
+                { label: 'All folders', description: `${folders.length} folders`, folders: folders },
+                ...folderItems
+            ], {
+                placeHolder: 'Select a folder to restore branch tabs for'
+            });
+
+            if (!selected) {
+                return;
+            }
+
+            const results = [];
+
+            for (const folder of selected.folders) {
+                const currentBranch = await gitHelper.getCurrentBranch(folder.uri.fsPath);
+
+                if (!currentBranch) {
+                    results.push(`${folder.name}: no git branch`);
+                    continue;
+                }
+
+                const tabSet = storage.getLatestTabSetForBranch(currentBranch, folder.name);
+
+                if (!tabSet) {
+                    results.push(`${folder.name}: no tab set for "${currentBranch}"`);
+                    continue;
+                }
+
+                const result = await restoreService.restore(tabSet, { workspaceFolder: folder.name });
+                results.push(result.cancelled
+                    ? `${folder.name}: cancelled`
+                    : `${folder.name}: "${tabSet.name}" with ${restoreService.describe(result)}`);
+            }
+
+            vscode.window.showInformationMessage(`Restored branch tabs. ${results.join('; ')}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to restore branch tabs: ${error.message}`);
+        }
+    });
+
+    // Command: Rename Tab Set
+    let renameTabSet = vscode.commands.registerCommand('extension.renameTabSet', async function (node) {
+        try {
+            // Invoked from the Tab Hero view or with a tab set argument
+            const tabSet = await pickTabSet(node, 'Select a tab set to rename');
+
+            if (!tabSet || !await confirmSharedEdit(tabSet)) {
+                return;
+            }
+
+            const newName = await vscode.window.showInputBox({
+                prompt: 'Enter new name',
+                placeHolder: 'New tab set name',
+                value: tabSet.name
+            });
+
+            if (!newName) {
+                return;
+            }
+
+            const success = storage.renameTabSet(tabSet.id, newName);
+
+            if (success) {
+                vscode.window.showInformationMessage(`Renamed to "${newName}"`);
+            } else {
+                vscode.window.showErrorMessage('Failed to rename tab set');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to rename tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Delete Tab Set
+    let deleteTabSet = vscode.commands.registerCommand('extension.deleteTabSet', async function (node) {
+        try {
+            // Invoked from the Tab Hero view or with a tab set argument; deleting still asks
+            const tabSet = await pickTabSet(node, 'Select a tab set to delete');
+
+            if (!tabSet) {
+                return;
+            }
+
+            // Confirm deletion, which for a shared set reaches the whole team
+            const confirm = await vscode.window.showWarningMessage(
+                tabSet.store === 'shared'
+                    ? `Delete the shared tab set "${tabSet.name}" from .vscode/tab-hero.json for everyone who uses it?`
+                    : `Delete "${tabSet.name}"?`,
+                { modal: true },
+                'Delete'
+            );
+
+            if (confirm !== 'Delete') {
+                return;
+            }
+
+            const success = storage.deleteTabSet(tabSet.id);
+
+            if (success) {
+                vscode.window.showInformationMessage(`Deleted "${tabSet.name}"`);
+            } else {
+                vscode.window.showErrorMessage('Failed to delete tab set');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to delete tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Toggle Favorite
+    let toggleFavorite = vscode.commands.registerCommand('extension.toggleFavorite', async function (node) {
+        try {
+            // Invoked from the Tab Hero view or with a tab set argument
+            const tabSet = await pickTabSet(node, 'Select a tab set to toggle favorite');
+
+            if (!tabSet || !await confirmSharedEdit(tabSet)) {
+                return;
+            }
+
+            const isFavorite = storage.toggleFavorite(tabSet.id);
+
+            const message = isFavorite
+                ? `⭐ Added "${tabSet.name}" to favorites`
+                : `Removed "${tabSet.name}" from favorites`;
+
+            vscode.window.showInformationMessage(message);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to toggle favorite: ${error.message}`);
+        }
+    });
+
+    // Command: List Favorites
+    let listFavorites = vscode.commands.registerCommand('extension.listFavorites', async function () {
+        try {
+            const favorites = storage.getFavorites();
+
+            if (favorites.length === 0) {
+                vscode.window.showInformationMessage('No favorite tab sets. Mark a tab set as favorite!');
+                return;
+            }
+
+            const tabSet = await tabSetPicker.pick({
+                placeHolder: 'Select a favorite tab set to restore',
+                title: 'Favorite Tab Sets',
+                query: { favorite: true }
+            });
+
+            if (!tabSet) {
+                return;
+            }
+
+            // Open all tabs
+            const result = await restoreService.restore(tabSet);
+
+            if (!result.cancelled) {
+                showRestoreMessage(`Opened ${restoreService.describe(result)}`, tabSet, result);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to open favorites: ${error.message}`);
+        }
+    });
+
+    // Command: Edit the tags of a Tab Set
+    let editTags = vscode.commands.registerCommand('extension.editTags', async function (node) {
+        try {
+            const tabSet = await pickTabSet(node, 'Select a tab set to tag');
+
+            if (!tabSet || !await confirmSharedEdit(tabSet)) {
+                return;
+            }
+
+            const knownTags = storage.getAllTags().map(({ tag }) => tag);
+            const input = await vscode.window.showInputBox({
+                prompt: `Tags for "${tabSet.name}", separated by commas`,
+                placeHolder: knownTags.length > 0 ? `In use: ${knownTags.join(', ')}` : 'e.g. review, frontend',
+                value: (tabSet.tags || []).join(', ')
+            });
+
+            if (input === undefined) {
+                return; // User cancelled
+            }
+
+            const tags = storage.setTags(tabSet.id, input.split(','));
+
+            if (tags) {
+                vscode.window.showInformationMessage(tags.length > 0
+                    ? `Tagged "${tabSet.name}" with ${tags.map(tag => `#${tag}`).join(' ')}`
+                    : `Removed the tags of "${tabSet.name}"`);
+            } else {
+                vscode.window.showErrorMessage('Failed to tag tab set');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to tag tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Find Tab Sets containing the active file, or a file from the explorer
+    let findTabSetsWithFile = vscode.commands.registerCommand('extension.findTabSetsWithFile', async function (uri) {
+        try {
+            const activeTab = vscode.window.tabGroups.activeTabGroup.activeTab;
+            const activeInput = activeTab ? tabInputs.describeTabInput(activeTab.input) : null;
+            const fileUri = uri instanceof vscode.Uri ? uri : activeInput && activeInput.uri;
+
+            if (!fileUri) {
+                vscode.window.showInformationMessage('Open a file to find the tab sets containing it.');
+                return;
+            }
+
+            const fileName = fileUri.path.split('/').pop();
+
+            if (storage.queryTabSets({ file: fileUri }).length === 0) {
+                vscode.window.showInformationMessage(`No tab sets contain ${fileName}.`);
+                return;
+            }
+
+            const tabSet = await tabSetPicker.pick({
+                title: `Tab Sets Containing ${fileName}`,
+                placeHolder: 'Select a tab set to restore',
+                query: { file: fileUri }
+            });
+
+            if (tabSet) {
+                await vscode.commands.executeCommand('extension.openTabSet', { tabSet });
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to find tab sets: ${error.message}`);
+        }
+    });
+
+    // Command: Restore Previous Session, the last snapshot taken before this window opened
+    let restorePreviousSession = vscode.commands.registerCommand('extension.restorePreviousSession', async function () {
+        try {
+            const snapshot = sessionHistory.getPreviousSession();
+
+            if (!snapshot) {
+                vscode.window.showInformationMessage('No previous session recorded.');
+                return;
+            }
+
+            const result = await restoreService.restore(snapshot);
+
+            if (!result.cancelled) {
+                vscode.window.showInformationMessage(
+                    `Restored the session of ${new Date(snapshot.createdAt).toLocaleString()} with ${restoreService.describe(result)}`
+                );
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to restore previous session: ${error.message}`);
+        }
+    });
+
+    // Command: Show Session History, to restore a snapshot or save it as a tab set
+    let showSessionHistory = vscode.commands.registerCommand('extension.showSessionHistory', async function () {
+        try {
+            if (sessionHistory.getSnapshots().length === 0) {
+                vscode.window.showInformationMessage('No session snapshots recorded yet.');
+                return;
+            }
+
+            const picked = await sessionHistory.pickSnapshot();
+
+            if (!picked) {
+                return; // User cancelled
+            }
+
+            const snapshot = picked.snapshot;
+
+            if (picked.action === 'restore') {
+                const result = await restoreService.restore(snapshot);
+
+                if (!result.cancelled) {
+                    vscode.window.showInformationMessage(`Restored snapshot with ${restoreService.describe(result)}`);
+                }
+                return;
+            }
+
+            const defaultName = `Session ${new Date(snapshot.createdAt).toLocaleString()}`;
+            const name = await vscode.window.showInputBox({
+                prompt: 'Enter a name for this tab set',
+                placeHolder: defaultName,
+                value: defaultName
+            });
+
+            if (!name) {
+                return; // User cancelled
+            }
+
+            const keepContent = await unsavedContent.confirmStoreContent([snapshot], config.getDefaultStore());
+
+            if (!keepContent) {
+                return;
+            }
+
+            const saved = storage.importTabSet(Object.assign({}, snapshot, { name }), config.getDefaultStore(), null, keepContent);
+            const storeInfo = saved.store !== 'personal' ? ` to the ${storage.getStoreLabel(saved.store).toLowerCase()} tab sets` : '';
+            vscode.window.showInformationMessage(`✓ Saved the snapshot as "${name}"${storeInfo}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to show session history: ${error.message}`);
+        }
+    });
+
+    // Command: Show the status bar item's menu for the current branch's tab set
+    let showStatusMenu = vscode.commands.registerCommand('extension.showStatusMenu', async function () {
+        try {
+            await tabSetStatusBar.showMenu();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to show tab set menu: ${error.message}`);
+        }
+    });
+
+    // Command: Restore the Tab Set in a quick-switch slot
+    let restoreSlot = vscode.commands.registerCommand('extension.restoreSlot', async function (slot) {
+        try {
+            const number = await pickSlot(slot, 'Select a slot to restore');
+
+            if (!number) {
+                return; // User cancelled
+            }
+
+            const tabSet = storage.getSlots().get(number);
+
+            if (!tabSet) {
+                const choice = await vscode.window.showInformationMessage(
+                    `Slot ${number} is empty.`,
+                    'Assign Slot'
+                );
+
+                if (choice === 'Assign Slot') {
+                    await vscode.commands.executeCommand('extension.assignSlot', null, number);
+                }
+                return;
+            }
+
+            const result = await restoreService.restore(tabSet);
+
+            if (!result.cancelled) {
+                showRestoreMessage(`Slot ${number}: opened ${restoreService.describe(result)}`, tabSet, result);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to restore slot: ${error.message}`);
+        }
+    });
+
+    // Command: Save the open tabs to a quick-switch slot, updating its Tab Set
+    let saveToSlot = vscode.commands.registerCommand('extension.saveToSlot', async function (slot) {
+        try {
+            const number = await pickSlot(slot, 'Select a slot to save the open tabs to');
+
+            if (!number) {
+                return; // User cancelled
+            }
+
+            if (getOpenTabs().length === 0) {
+                vscode.window.showWarningMessage('No tabs are currently open.');
+                return;
+            }
+
+            const { tabs, layout } = await getOpenTabsToSave();
+            const tabCount = `${tabs.length} tab${tabs.length !== 1 ? 's' : ''}`;
+
+            if (tabs.length === 0) {
+                vscode.window.showWarningMessage('All open tabs match tabHero.save.excludePatterns.');
+                return;
+            }
+
+            const tabSet = storage.getSlots().get(number);
+
+            if (tabSet && !await confirmSharedEdit(tabSet)) {
+                return;
+            }
+
+            const store = tabSet ? tabSet.store : config.getDefaultStore();
+            const tabsToSave = await unsavedContent.capture(tabs, store);
+
+            if (!tabsToSave) {
+                return; // User cancelled
+            }
+
+            if (tabSet) {
+                const updated = storage.updateTabSetTabs(tabSet.id, tabsToSave, layout);
+
+                if (updated) {
+                    vscode.window.showInformationMessage(`Slot ${number}: updated "${updated.name}" with ${tabCount}`);
+                } else {
+                    vscode.window.showErrorMessage('Failed to update tab set');
+                }
+                return;
+            }
+
+            const { branch, branches } = await getBranchesForTabs(tabs);
+            const saved = storage.saveTabSet(getDefaultTabSetName(branch, tabs), tabsToSave, branch, false,
+                Object.assign({ branches, store }, layout));
+
+            storage.assignSlot(number, saved.id);
+            vscode.window.showInformationMessage(`Slot ${number}: saved "${saved.name}" with ${tabCount}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to save to slot: ${error.message}`);
+        }
+    });
+
+    // Command: Assign a Tab Set to a quick-switch slot, or clear the slot
+    let assignSlot = vscode.commands.registerCommand('extension.assignSlot', async function (node, slot) {
+        try {
+            const number = await pickSlot(slot, 'Select a slot to assign');
+
+            if (!number) {
+                return; // User cancelled
+            }
+
+            const current = storage.getSlots().get(number);
+            let tabSet = resolveTabSetArgument(node);
+
+            if (tabSet === null) {
+                return;
+            }
+
+            if (!tabSet) {
+                if (storage.getAllTabSets().length === 0) {
+                    vscode.window.showInformationMessage('No saved tab sets found.');
+                    return;
+                }
+
+                tabSet = await tabSetPicker.pick({
+                    title: `Assign Slot ${number}`,
+                    placeHolder: current ? `Select a tab set to replace "${current.name}"` : 'Select a tab set for this slot'
+                });
+
+                if (!tabSet) {
+                    return; // User cancelled
+                }
+            }
+
+            if (current && current.id === tabSet.id) {
+                const choice = await vscode.window.showInformationMessage(
+                    `"${tabSet.name}" is already in slot ${number}.`,
+                    'Clear Slot'
+                );
+
+                if (choice === 'Clear Slot') {
+                    storage.assignSlot(number, null);
+                    vscode.window.showInformationMessage(`Cleared slot ${number}`);
+                }
+                return;
+            }
+
+            if (storage.assignSlot(number, tabSet.id)) {
+                vscode.window.showInformationMessage(`Assigned "${tabSet.name}" to slot ${number}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to assign slot');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to assign slot: ${error.message}`);
+        }
+    });
+
+    // Command: Update Tab Set from the open tabs
+    let updateTabSet = vscode.commands.registerCommand('extension.updateTabSet', async function (node) {
+        try {
+            const tabSet = await pickTabSet(node, 'Select a tab set to update from the open tabs');
+
+            if (!tabSet || !await confirmSharedEdit(tabSet)) {
+                return;
+            }
+
+            const picked = await pickOpenTabs(`Select tabs for "${tabSet.name}" (all selected by default)`);
+
+            if (!picked) {
+                return;
+            }
+
+            const tabs = await unsavedContent.capture(picked.tabs, tabSet.store);
+
+            if (!tabs) {
+                return;
+            }
+
+            const updated = storage.updateTabSetTabs(tabSet.id, tabs, picked.layout);
+
+            if (updated) {
+                const tabCount = updated.tabs.length;
+                vscode.window.showInformationMessage(`Updated "${updated.name}" with ${tabCount} tab${tabCount !== 1 ? 's' : ''}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to update tab set');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to update tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Add Active Editor to Tab Set
+    let addToTabSet = vscode.commands.registerCommand('extension.addToTabSet', async function (node) {
+        try {
+            const editor = vscode.window.activeTextEditor;
 
-function activate(context) {
-    console.log('Tab Hero is now active!');
+            if (!editor || editor.document.isUntitled) {
+                vscode.window.showWarningMessage('Open a file to add it to a tab set.');
+                return;
+            }
 
-    // Initialize storage
-    try {
-        const workspacePath = getWorkspacePath();
-        if (workspacePath) {
-            storage.initialize(workspacePath);
-        }
-    } catch (error) {
-        console.error('Failed to initialize storage:', error);
-    }
+            const tabSet = await pickTabSet(node, `Select a tab set to add ${editor.document.fileName.split(/[\\/]/).pop()} to`);
 
-    // Command: Save Tab Set
-    let saveTabSet = vscode.commands.registerCommand('extension.saveTabSet', async function () {
-        const workspacePath = getWorkspacePath();
-        if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder open. Please open a folder first.');
-            return;
+            if (!tabSet || !await confirmSharedEdit(tabSet)) {
+                return;
+            }
+
+            // The file joins the set's first group, after its other tabs
+            const [tab] = await getTabsWithInfo([{
+                kind: 'text',
+                uri: editor.document.uri,
+                viewColumn: null,
+                index: null,
+                isPinned: false,
+                isActive: false
+            }]);
+
+            const addedCount = storage.addTabs(tabSet.id, [tab]);
+
+            if (addedCount > 0) {
+                vscode.window.showInformationMessage(`Added ${tab.fileName} to "${tabSet.name}"`);
+            } else if (addedCount === 0) {
+                vscode.window.showInformationMessage(`"${tabSet.name}" already contains ${tab.fileName}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to add to tab set');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to add to tab set: ${error.message}`);
         }
+    });
 
+    // Command: Remove Files from Tab Set
+    let removeFromTabSet = vscode.commands.registerCommand('extension.removeFromTabSet', async function (node) {
         try {
-            // Get open tabs
-            const openTabs = getOpenTabs();
+            // Invoked from the Tab Hero view on a single file
+            if (node && node.type === 'tab') {
+                if (!await confirmSharedEdit(node.tabSet)) {
+                    return;
+                }
 
-            if (openTabs.length === 0) {
-                vscode.window.showWarningMessage('No tabs are currently open.');
+                const removedCount = storage.removeTabs(node.tabSet.id, [node.index]);
+
+                if (removedCount > 0) {
+                    vscode.window.showInformationMessage(`Removed ${node.tab.fileName} from "${node.tabSet.name}"`);
+                } else {
+                    vscode.window.showErrorMessage('Failed to remove from tab set');
+                }
                 return;
             }
 
-            // Convert URIs to documents with metadata
-            const allTabsWithInfo = await Promise.all(
-                openTabs.map(async (uri) => {
-                    try {
-                        const doc = await vscode.workspace.openTextDocument(uri);
-                        const fileName = uri.fsPath.split(/[\\/]/).pop();
-                        const relativePath = vscode.workspace.asRelativePath(uri.fsPath);
-
-                        return {
-                            uri: uri,
-                            fileName: fileName,
-                            languageId: doc.languageId,
-                            relativePath: relativePath
-                        };
-                    } catch (error) {
-                        const fileName = uri.fsPath.split(/[\\/]/).pop();
-                        return {
-                            uri: uri,
-                            fileName: fileName,
-                            languageId: 'unknown',
-                            relativePath: vscode.workspace.asRelativePath(uri.fsPath)
-                        };
-                    }
-                })
-            );
+            const tabSet = await pickTabSet(node, 'Select a tab set to remove files from');
 
-            // Show multi-select quick pick for tab selection
-            const tabPickItems = allTabsWithInfo.map(tab => ({
+            if (!tabSet || !await confirmSharedEdit(tabSet)) {
+                return;
+            }
+
+            const items = tabSet.tabs.map((tab, index) => ({
                 label: tab.fileName,
-                description: tab.relativePath !== tab.fileName ? tab.relativePath : '',
-                detail: `Language: ${tab.languageId}`,
-                picked: true, // All selected by default
-                tabInfo: tab
+                description: tab.relativePath && tab.relativePath !== tab.fileName ? tab.relativePath : (tab.homePath || ''),
+                index: index
             }));
 
-            const selectedItems = await vscode.window.showQuickPick(tabPickItems, {
+            const selectedItems = await vscode.window.showQuickPick(items, {
                 canPickMany: true,
-                placeHolder: 'Select tabs to include in this set (all selected by default)'
+                placeHolder: `Select files to remove from "${tabSet.name}"`
             });
 
             if (!selectedItems || selectedItems.length === 0) {
-                return; // User cancelled or selected nothing
+                return;
             }
 
-            // Get current git branch
-            const currentBranch = await gitHelper.getCurrentBranch(workspacePath);
+            const removedCount = storage.removeTabs(tabSet.id, selectedItems.map(item => item.index));
 
-            // Ask user for a name
-            const defaultName = currentBranch ? `${currentBranch} tabs` : 'Unnamed tab set';
-            const name = await vscode.window.showInputBox({
-                prompt: 'Enter a name for this tab set',
-                placeHolder: defaultName,
-                value: defaultName
+            if (removedCount >= 0) {
+                vscode.window.showInformationMessage(
+                    `Removed ${removedCount} file${removedCount !== 1 ? 's' : ''} from "${tabSet.name}"`
+                );
+            } else {
+                vscode.window.showErrorMessage('Failed to remove from tab set');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to remove from tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Duplicate Tab Set
+    let duplicateTabSet = vscode.commands.registerCommand('extension.duplicateTabSet', async function (node) {
+        try {
+            const tabSet = await pickTabSet(node, 'Select a tab set to duplicate');
+
+            if (!tabSet) {
+                return;
+            }
+
+            const newName = await vscode.window.showInputBox({
+                prompt: 'Enter a name for the copy',
+                placeHolder: 'New tab set name',
+                value: `${tabSet.name} (copy)`
             });
 
-            if (!name) {
-                return; // User cancelled
+            if (!newName) {
+                return;
             }
 
-            // Ask if this should be a favorite
-            const favoriteChoice = await vscode.window.showQuickPick(
-                ['No', 'Yes'],
-                {
-                    placeHolder: 'Mark as favorite?'
-                }
-            );
+            const keepContent = await unsavedContent.confirmStoreContent([tabSet], config.getDefaultStore());
 
-            if (favoriteChoice === undefined) {
-                return; // User cancelled
+            if (!keepContent) {
+                return;
+            }
+
+            const copy = storage.duplicateTabSet(tabSet.id, newName, config.getDefaultStore(), keepContent);
+
+            if (copy) {
+                const storeInfo = copy.store !== tabSet.store ? ` in the ${storage.getStoreLabel(copy.store).toLowerCase()} tab sets` : '';
+                vscode.window.showInformationMessage(`Duplicated "${tabSet.name}" as "${newName}"${storeInfo}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to duplicate tab set');
             }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to duplicate tab set: ${error.message}`);
+        }
+    });
 
-            const isFavorite = favoriteChoice === 'Yes';
+    // Command: Save Tab Set to a store picked by the user
+    let saveTabSetToStore = vscode.commands.registerCommand('extension.saveTabSetToStore', async function () {
+        const storeName = await pickStore('Select where to save the tab set');
+
+        if (storeName) {
+            await vscode.commands.executeCommand('extension.saveTabSet', storeName);
+        }
+    });
 
-            // Get the selected tabs
-            const tabs = selectedItems.map(item => item.tabInfo);
+    // Command: Save Tab Set from the working tree's changed files
+    let saveTabSetFromChanges = vscode.commands.registerCommand('extension.saveTabSetFromChanges', async function () {
+        try {
+            const folder = await pickGitFolder('Select a folder to collect changed files from');
 
-            // Save the tab set
-            const tabSet = storage.saveTabSet(name, tabs, currentBranch, isFavorite);
+            if (!folder) {
+                return;
+            }
 
-            // Close all tabs that were saved
-            const closedCount = await closeTabsByUris(tabs.map(t => t.uri));
+            const files = await gitHelper.getWorkingTreeFiles(folder.uri.fsPath);
+            const branch = await gitHelper.getCurrentBranch(folder.uri.fsPath);
 
-            const branchInfo = currentBranch ? ` (branch: ${currentBranch})` : '';
-            vscode.window.showInformationMessage(
-                `✓ Saved "${name}" with ${tabs.length} tab${tabs.length !== 1 ? 's' : ''}${branchInfo}. Closed ${closedCount} tab${closedCount !== 1 ? 's' : ''}.`
-            );
+            await saveFilesAsTabSet(files, branch ? `${branch} changes` : 'Changed files', 'changed in the working tree');
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to save tab set: ${error.message}`);
         }
     });
 
-    // Command: Open/Restore Tab Set
-    let openTabSet = vscode.commands.registerCommand('extension.openTabSet', async function () {
-        const workspacePath = getWorkspacePath();
-        if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder open. Please open a folder first.');
-            return;
-        }
-
+    // Command: Save Tab Set from the files changed on the current branch
+    let saveTabSetFromBranch = vscode.commands.registerCommand('extension.saveTabSetFromBranch', async function () {
         try {
-            const allTabSets = storage.getAllTabSets();
+            const folder = await pickGitFolder('Select a folder to compare branches in');
 
-            if (allTabSets.length === 0) {
-                vscode.window.showInformationMessage('No saved tab sets found. Save one first!');
+            if (!folder) {
                 return;
             }
 
-            // Sort: favorites first, then by updated date
-            allTabSets.sort((a, b) => {
-                if (a.isFavorite && !b.isFavorite) return -1;
-                if (!a.isFavorite && b.isFavorite) return 1;
-                return new Date(b.updatedAt) - new Date(a.updatedAt);
-            });
+            const folderPath = folder.uri.fsPath;
+            const currentBranch = await gitHelper.getCurrentBranch(folderPath);
+            const baseBranches = (await gitHelper.getBranches(folderPath)).filter(name => name !== currentBranch);
+
+            if (baseBranches.length === 0) {
+                vscode.window.showInformationMessage('No other branches to compare with.');
+                return;
+            }
 
-            // Show quick pick
-            const items = allTabSets.map(formatTabSetForQuickPick);
-            const selected = await vscode.window.showQuickPick(items, {
-                placeHolder: 'Select a tab set to restore'
+            const baseBranch = await vscode.window.showQuickPick(baseBranches, {
+                placeHolder: `Compare ${currentBranch || 'HEAD'} with which base branch?`
             });
 
-            if (!selected) {
+            if (!baseBranch) {
                 return; // User cancelled
             }
 
-            // Open all tabs from the selected set
-            const tabSet = selected.tabSet;
-            let openedCount = 0;
-            let failedCount = 0;
-
-            for (const tab of tabSet.tabs) {
-                try {
-                    const uri = vscode.Uri.parse(tab.uri);
-                    const doc = await vscode.workspace.openTextDocument(uri);
-                    await vscode.window.showTextDocument(doc, { preview: false });
-                    openedCount++;
-                } catch (error) {
-                    console.error(`Failed to open ${tab.fileName}:`, error);
-                    failedCount++;
-                }
-            }
+            const files = await gitHelper.getBranchChangedFiles(folderPath, baseBranch);
 
-            const message = `Opened ${openedCount} tab${openedCount !== 1 ? 's' : ''}` +
-                (failedCount > 0 ? ` (${failedCount} failed)` : '');
-            vscode.window.showInformationMessage(message);
+            await saveFilesAsTabSet(
+                files,
+                currentBranch ? `${currentBranch} review` : `Changes since ${baseBranch}`,
+                `changed since ${baseBranch}`
+            );
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to open tab set: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to save tab set: ${error.message}`);
         }
     });
 
-    // Command: Restore Branch Tabs (restore most recent for current branch)
-    let restoreBranchTabs = vscode.commands.registerCommand('extension.restoreBranchTabs', async function () {
-        const workspacePath = getWorkspacePath();
-        if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder open. Please open a folder first.');
-            return;
-        }
-
+    // Command: Save Tab Set from the files touched by a commit
+    let saveTabSetFromCommit = vscode.commands.registerCommand('extension.saveTabSetFromCommit', async function () {
         try {
-            const currentBranch = await gitHelper.getCurrentBranch(workspacePath);
+            const folder = await pickGitFolder('Select a folder to pick a commit from');
 
-            if (!currentBranch) {
-                vscode.window.showWarningMessage('Not a git repository or unable to detect branch.');
+            if (!folder) {
                 return;
             }
 
-            const tabSet = storage.getLatestTabSetForBranch(currentBranch);
+            const commits = await gitHelper.getRecentCommits(folder.uri.fsPath);
 
-            if (!tabSet) {
-                vscode.window.showInformationMessage(`No saved tab sets found for branch "${currentBranch}".`);
+            if (commits.length === 0) {
+                vscode.window.showInformationMessage('No commits found.');
                 return;
             }
 
-            // Open all tabs
-            let openedCount = 0;
-            let failedCount = 0;
+            const selected = await vscode.window.showQuickPick(commits.map(commit => ({
+                label: commit.subject,
+                description: `${commit.shortHash} • ${commit.author} • ${commit.date}`,
+                commit: commit
+            })), {
+                placeHolder: 'Select a commit',
+                matchOnDescription: true
+            });
 
-            for (const tab of tabSet.tabs) {
-                try {
-                    const uri = vscode.Uri.parse(tab.uri);
-                    const doc = await vscode.workspace.openTextDocument(uri);
-                    await vscode.window.showTextDocument(doc, { preview: false });
-                    openedCount++;
-                } catch (error) {
-                    console.error(`Failed to open ${tab.fileName}:`, error);
-                    failedCount++;
-                }
+            if (!selected) {
+                return; // User cancelled
             }
 
-            const message = `Restored "${tabSet.name}" with ${openedCount} tab${openedCount !== 1 ? 's' : ''}` +
-                (failedCount > 0 ? ` (${failedCount} failed)` : '');
-            vscode.window.showInformationMessage(message);
+            const commit = selected.commit;
+            const files = await gitHelper.getCommitFiles(folder.uri.fsPath, commit.hash);
+
+            await saveFilesAsTabSet(files, commit.subject, `changed by ${commit.shortHash}`);
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to restore branch tabs: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to save tab set: ${error.message}`);
         }
     });
 
-    // Command: Rename Tab Set
-    let renameTabSet = vscode.commands.registerCommand('extension.renameTabSet', async function () {
+    // Command: Move Tab Sets to another store
+    let moveTabSet = vscode.commands.registerCommand('extension.moveTabSet', async function (node) {
         try {
-            const allTabSets = storage.getAllTabSets();
+            const tabSet = resolveTabSetArgument(node);
+            let tabSets;
 
-            if (allTabSets.length === 0) {
-                vscode.window.showInformationMessage('No saved tab sets found.');
+            if (tabSet === null) {
                 return;
             }
 
-            // Sort by updated date
-            allTabSets.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            if (tabSet) {
+                tabSets = [tabSet];
+            } else {
+                const allTabSets = storage.getAllTabSets();
 
-            // Show quick pick
-            const items = allTabSets.map(formatTabSetForQuickPick);
-            const selected = await vscode.window.showQuickPick(items, {
-                placeHolder: 'Select a tab set to rename'
-            });
+                if (allTabSets.length === 0) {
+                    vscode.window.showInformationMessage('No saved tab sets found.');
+                    return;
+                }
 
-            if (!selected) {
+                const selectedItems = await vscode.window.showQuickPick(allTabSets.map(formatTabSetForQuickPick), {
+                    canPickMany: true,
+                    placeHolder: 'Select tab sets to move to another store'
+                });
+
+                tabSets = selectedItems ? selectedItems.map(item => item.tabSet) : [];
+            }
+
+            if (tabSets.length === 0) {
                 return;
             }
 
-            const newName = await vscode.window.showInputBox({
-                prompt: 'Enter new name',
-                placeHolder: 'New tab set name',
-                value: selected.tabSet.name
-            });
+            // Sets picked from one store are offered the other one
+            const sourceStores = new Set(tabSets.map(tabSet => tabSet.store));
+            const storeName = await pickStore('Select the store to move to',
+                sourceStores.size === 1 ? tabSets[0].store : null);
 
-            if (!newName) {
+            if (!storeName) {
                 return;
             }
 
-            const success = storage.renameTabSet(selected.tabSet.id, newName);
+            const moving = tabSets.filter(tabSet => tabSet.store !== storeName);
+            const storeLabel = storage.getStoreLabel(storeName).toLowerCase();
 
-            if (success) {
-                vscode.window.showInformationMessage(`Renamed to "${newName}"`);
-            } else {
-                vscode.window.showErrorMessage('Failed to rename tab set');
+            if (moving.length === 0) {
+                vscode.window.showInformationMessage(`Already in the ${storeLabel} tab sets.`);
+                return;
+            }
+
+            const leavingShared = moving.filter(tabSet => tabSet.store === 'shared');
+
+            if (leavingShared.length > 0) {
+                const names = leavingShared.map(tabSet => `"${tabSet.name}"`).join(', ');
+                const confirm = await vscode.window.showWarningMessage(
+                    `Move ${names} out of .vscode/tab-hero.json? Your team loses ${leavingShared.length === 1 ? 'it' : 'them'} once the change is committed.`,
+                    { modal: true },
+                    'Move'
+                );
+
+                if (confirm !== 'Move') {
+                    return;
+                }
+            }
+
+            const keepContent = await unsavedContent.confirmStoreContent(moving, storeName);
+
+            if (!keepContent) {
+                return;
+            }
+
+            const moved = moving.filter(tabSet => storage.moveTabSetToStore(tabSet.id, storeName, keepContent));
+
+            if (moved.length === 0) {
+                vscode.window.showErrorMessage('Failed to move tab set');
+                return;
             }
+
+            const failedInfo = moved.length < moving.length ? ` (${moving.length - moved.length} could not be moved)` : '';
+            vscode.window.showInformationMessage(moved.length === 1
+                ? `Moved "${moved[0].name}" to the ${storeLabel} tab sets${failedInfo}`
+                : `Moved ${moved.length} tab sets to the ${storeLabel} tab sets${failedInfo}`);
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to rename tab set: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to move tab set: ${error.message}`);
         }
     });
 
-    // Command: Delete Tab Set
-    let deleteTabSet = vscode.commands.registerCommand('extension.deleteTabSet', async function () {
+    // Command: Repair Tab Set whose files were moved, renamed or deleted
+    let repairTabSet = vscode.commands.registerCommand('extension.repairTabSet', async function (node) {
         try {
-            const allTabSets = storage.getAllTabSets();
+            const tabSet = await pickTabSet(node, 'Select a tab set to repair');
+
+            if (!tabSet) {
+                return;
+            }
+
+            const missingTabs = await repairService.findMissingTabs(tabSet);
+
+            if (missingTabs.length === 0) {
+                vscode.window.showInformationMessage(`All files of "${tabSet.name}" are where they were saved.`);
+                return;
+            }
 
-            if (allTabSets.length === 0) {
-                vscode.window.showInformationMessage('No saved tab sets found.');
+            if (!await confirmSharedEdit(tabSet)) {
                 return;
             }
 
-            // Sort by updated date
-            allTabSets.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            const result = await repairService.repair(tabSet, missingTabs);
+            vscode.window.showInformationMessage(`Repaired "${tabSet.name}": ${repairService.describe(result)}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to repair tab set: ${error.message}`);
+        }
+    });
+
+    // Command: Clean up the Tab Sets of branches that were deleted or renamed
+    let cleanUpBranchTabSets = vscode.commands.registerCommand('extension.cleanUpBranchTabSets', async function () {
+        try {
+            const stale = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Window,
+                title: 'Looking for tab sets of deleted branches'
+            }, () => findStaleTabSets());
+
+            if (stale.length === 0) {
+                vscode.window.showInformationMessage('All tab sets belong to existing branches.');
+                return;
+            }
 
-            // Show quick pick
-            const items = allTabSets.map(formatTabSetForQuickPick);
-            const selected = await vscode.window.showQuickPick(items, {
-                placeHolder: 'Select a tab set to delete'
+            const selectedItems = await vscode.window.showQuickPick(stale.map(entry => Object.assign(formatTabSetForQuickPick(entry.tabSet), {
+                detail: entry.branches.map(({ branch, renamedTo }) => renamedTo
+                    ? `"${branch}" was renamed to "${renamedTo}"`
+                    : `"${branch}" no longer exists`).join(' • '),
+                picked: true,
+                entry
+            })), {
+                canPickMany: true,
+                placeHolder: 'Select the tab sets of deleted or renamed branches to clean up'
             });
 
-            if (!selected) {
+            if (!selectedItems || selectedItems.length === 0) {
                 return;
             }
 
-            // Confirm deletion
-            const confirm = await vscode.window.showWarningMessage(
-                `Delete "${selected.tabSet.name}"?`,
-                { modal: true },
-                'Delete'
-            );
+            const entries = selectedItems.map(item => item.entry);
+            const renamedCount = entries.filter(entry => entry.branches.some(branch => branch.renamedTo)).length;
+            const actions = [
+                renamedCount > 0
+                    ? { label: '$(arrow-right) Follow Renames', description: `Move ${renamedCount} set${renamedCount !== 1 ? 's' : ''} to the renamed branches`, action: 'rename', verb: 'Move', done: 'Moved' }
+                    : null,
+                { label: '$(archive) Archive', description: `Tag #${ARCHIVED_TAG} and keep out of this list`, action: 'archive', verb: 'Archive', done: 'Archived' },
+                { label: '$(git-branch) Reassign to Branch...', description: 'Move to an existing branch', action: 'reassign', verb: 'Reassign', done: 'Reassigned' },
+                { label: '$(trash) Delete', action: 'delete', verb: 'Delete', done: 'Deleted' }
+            ].filter(Boolean);
+
+            const selected = await vscode.window.showQuickPick(actions, {
+                placeHolder: `What should happen to ${entries.length} tab set${entries.length !== 1 ? 's' : ''}?`
+            });
 
-            if (confirm !== 'Delete') {
+            if (!selected) {
                 return;
             }
 
-            const success = storage.deleteTabSet(selected.tabSet.id);
+            const targets = selected.action === 'rename'
+                ? entries.filter(entry => entry.branches.some(branch => branch.renamedTo))
+                : entries;
+            const sharedCount = targets.filter(entry => entry.tabSet.store === 'shared').length;
+
+            if (selected.action === 'delete' || sharedCount > 0) {
+                const sharedInfo = sharedCount > 0 ? ` ${sharedCount} of them ${sharedCount !== 1 ? 'are' : 'is'} shared and change${sharedCount !== 1 ? '' : 's'} for everyone who uses .vscode/tab-hero.json.` : '';
+                const confirm = await vscode.window.showWarningMessage(
+                    `${selected.verb} ${targets.length} tab set${targets.length !== 1 ? 's' : ''}?${sharedInfo}`,
+                    { modal: true },
+                    'Continue'
+                );
+
+                if (confirm !== 'Continue') {
+                    return;
+                }
+            }
 
-            if (success) {
-                vscode.window.showInformationMessage(`Deleted "${selected.tabSet.name}"`);
-            } else {
-                vscode.window.showErrorMessage('Failed to delete tab set');
+            // Branches to reassign to, picked from each folder's own repository
+            const reassignTo = new Map();
+
+            if (selected.action === 'reassign') {
+                const folderNames = [...new Set(targets.flatMap(entry => entry.branches.map(branch => branch.folderName)))];
+
+                for (const folderName of folderNames) {
+                    const folder = folderName
+                        ? getWorkspaceFolders().find(item => item.name === folderName)
+                        : getWorkspaceFolders()[0];
+                    const names = folder ? await gitHelper.getBranchNames(folder.uri.fsPath) : null;
+                    const branch = await vscode.window.showQuickPick([...(names || [])].sort(), {
+                        placeHolder: folderName
+                            ? `Select the branch of "${folderName}" to move the tab sets to`
+                            : 'Select the branch to move the tab sets to'
+                    });
+
+                    if (!branch) {
+                        return;
+                    }
+
+                    reassignTo.set(folderName, branch);
+                }
             }
+
+            let changedCount = 0;
+
+            for (const { tabSet, branches } of targets) {
+                const stores = [tabSet.store];
+
+                if (selected.action === 'delete') {
+                    changedCount += storage.deleteTabSet(tabSet.id) ? 1 : 0;
+                } else if (selected.action === 'archive') {
+                    changedCount += storage.setTags(tabSet.id, (tabSet.tags || []).concat(ARCHIVED_TAG)) ? 1 : 0;
+                } else {
+                    const moved = branches
+                        .filter(({ renamedTo }) => selected.action === 'reassign' || renamedTo)
+                        .map(({ folderName, branch, renamedTo }) =>
+                            storage.replaceBranch(branch, reassignTo.get(folderName) || renamedTo, { folderName, ids: [tabSet.id], stores }));
+                    changedCount += moved.some(count => count > 0) ? 1 : 0;
+                }
+            }
+
+            vscode.window.showInformationMessage(`${selected.done} ${changedCount} tab set${changedCount !== 1 ? 's' : ''}`);
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to delete tab set: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to clean up tab sets: ${error.message}`);
         }
     });
 
-    // Command: Toggle Favorite
-    let toggleFavorite = vscode.commands.registerCommand('extension.toggleFavorite', async function () {
+    // Command: Export Tab Sets to a JSON bundle or Markdown
+    let exportTabSets = vscode.commands.registerCommand('extension.exportTabSets', async function (node) {
         try {
-            const allTabSets = storage.getAllTabSets();
+            const tabSet = resolveTabSetArgument(node);
+            let tabSets;
+
+            if (tabSet === null) {
+                return;
+            }
+
+            if (tabSet) {
+                tabSets = [tabSet];
+            } else {
+                const allTabSets = storage.getAllTabSets();
+
+                if (allTabSets.length === 0) {
+                    vscode.window.showInformationMessage('No saved tab sets found.');
+                    return;
+                }
+
+                const items = allTabSets.map(tabSet => Object.assign(formatTabSetForQuickPick(tabSet), { picked: true }));
+                const selectedItems = await vscode.window.showQuickPick(items, {
+                    canPickMany: true,
+                    placeHolder: 'Select tab sets to export (all selected by default)'
+                });
+
+                tabSets = selectedItems ? selectedItems.map(item => item.tabSet) : [];
+            }
 
-            if (allTabSets.length === 0) {
-                vscode.window.showInformationMessage('No saved tab sets found.');
+            if (tabSets.length === 0) {
                 return;
             }
 
-            // Sort by updated date
-            allTabSets.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            const format = await vscode.window.showQuickPick([
+                { label: 'JSON Bundle', description: 'To import into another workspace or machine', extension: 'json' },
+                { label: 'Markdown', description: 'With links to the files, for PR descriptions and docs', extension: 'md' }
+            ], { placeHolder: 'Select an export format' });
 
-            // Show quick pick
-            const items = allTabSets.map(formatTabSetForQuickPick);
-            const selected = await vscode.window.showQuickPick(items, {
-                placeHolder: 'Select a tab set to toggle favorite'
+            if (!format) {
+                return;
+            }
+
+            const fileName = `${(tabSets.length === 1 ? tabSets[0].name : 'tab-sets').replace(/[\\/:*?"<>|]+/g, '-')}.${format.extension}`;
+            const target = await vscode.window.showSaveDialog({
+                defaultUri: storageFolder ? vscode.Uri.joinPath(storageFolder.uri, fileName) : undefined,
+                filters: format.extension === 'json' ? { 'Tab Hero Export': ['json'] } : { 'Markdown': ['md'] }
             });
 
-            if (!selected) {
+            if (!target) {
                 return;
             }
 
-            const isFavorite = storage.toggleFavorite(selected.tabSet.id);
+            // Unsaved content stays out of bundles, which are meant for sharing, unless asked for
+            let includeContent = false;
 
-            const message = isFavorite
-                ? `⭐ Added "${selected.tabSet.name}" to favorites`
-                : `Removed "${selected.tabSet.name}" from favorites`;
+            if (format.extension === 'json' && tabSets.some(tabSet => tabSet.tabs.some(tab => tab.content !== undefined))) {
+                const choice = await vscode.window.showQuickPick([
+                    { label: '$(close) Leave It Out', description: 'Only where the editors are', include: false },
+                    { label: '$(check) Include It', description: 'Anyone with the file can read it', include: true }
+                ], { placeHolder: 'Some tabs kept the content of unsaved editors. Include it in the export?' });
 
-            vscode.window.showInformationMessage(message);
+                if (!choice) {
+                    return;
+                }
+                includeContent = choice.include;
+            }
+
+            const content = format.extension === 'json'
+                ? JSON.stringify(tabSetIo.createBundle(tabSets, includeContent), null, 2)
+                : tabSetIo.toMarkdown(tabSets, target.fsPath, getWorkspacePath());
+            await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf8'));
+
+            const choice = await vscode.window.showInformationMessage(
+                `Exported ${tabSets.length} tab set${tabSets.length !== 1 ? 's' : ''} to ${target.path.split('/').pop()}`,
+                'Open File'
+            );
+
+            if (choice === 'Open File') {
+                await vscode.window.showTextDocument(target);
+            }
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to toggle favorite: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to export tab sets: ${error.message}`);
         }
     });
 
-    // Command: List Favorites
-    let listFavorites = vscode.commands.registerCommand('extension.listFavorites', async function () {
+    // Command: Import Tab Sets from a JSON bundle
+    let importTabSets = vscode.commands.registerCommand('extension.importTabSets', async function () {
         try {
-            const favorites = storage.getFavorites();
+            const files = await vscode.window.showOpenDialog({
+                canSelectMany: false,
+                filters: { 'Tab Hero Export': ['json'] },
+                openLabel: 'Import'
+            });
 
-            if (favorites.length === 0) {
-                vscode.window.showInformationMessage('No favorite tab sets. Mark a tab set as favorite!');
+            if (!files || files.length === 0) {
                 return;
             }
 
-            // Sort by updated date
-            favorites.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            const content = Buffer.from(await vscode.workspace.fs.readFile(files[0])).toString('utf8');
+            const bundleSets = tabSetIo.parseBundle(content);
 
-            // Show quick pick
-            const items = favorites.map(formatTabSetForQuickPick);
-            const selected = await vscode.window.showQuickPick(items, {
-                placeHolder: 'Select a favorite tab set to restore'
+            if (bundleSets.length === 0) {
+                vscode.window.showInformationMessage('No tab sets found to import.');
+                return;
+            }
+
+            const selectedItems = await vscode.window.showQuickPick(bundleSets.map(tabSet => ({
+                label: tabSet.name,
+                description: `${tabSet.tabs.length} tab${tabSet.tabs.length !== 1 ? 's' : ''}`,
+                detail: tabSet.tabs.map(t => t.fileName).join(', '),
+                picked: true,
+                tabSet: tabSet
+            })), {
+                canPickMany: true,
+                placeHolder: 'Select tab sets to import (all selected by default)'
             });
 
-            if (!selected) {
+            if (!selectedItems || selectedItems.length === 0) {
                 return;
             }
 
-            // Open all tabs
-            const tabSet = selected.tabSet;
-            let openedCount = 0;
-            let failedCount = 0;
+            const storeName = await pickStore('Select where to import the tab sets');
 
-            for (const tab of tabSet.tabs) {
-                try {
-                    const uri = vscode.Uri.parse(tab.uri);
-                    const doc = await vscode.workspace.openTextDocument(uri);
-                    await vscode.window.showTextDocument(doc, { preview: false });
-                    openedCount++;
-                } catch (error) {
-                    console.error(`Failed to open ${tab.fileName}:`, error);
-                    failedCount++;
+            if (!storeName) {
+                return;
+            }
+
+            // Sets named like one already in the store are renamed, overwrite it or are skipped
+            const existing = storage.getAllTabSets().filter(tabSet => tabSet.store === storeName);
+            const takenNames = new Set(existing.map(tabSet => tabSet.name));
+            const conflicts = selectedItems.filter(item => takenNames.has(item.tabSet.name));
+            let resolution = 'Rename';
+
+            if (conflicts.length > 0) {
+                const names = conflicts.map(item => `"${item.tabSet.name}"`).join(', ');
+                resolution = await vscode.window.showWarningMessage(
+                    `${names} ${conflicts.length === 1 ? 'has the same name as a tab set' : 'have the same names as tab sets'} ` +
+                    `in the ${storage.getStoreLabel(storeName).toLowerCase()} tab sets.`,
+                    {
+                        modal: true,
+                        detail: 'Rename imports them under a new name, Overwrite replaces the existing sets, Skip leaves them out.'
+                    },
+                    'Rename',
+                    'Overwrite',
+                    'Skip'
+                );
+
+                if (!resolution) {
+                    return;
                 }
             }
 
-            const message = `Opened ${openedCount} tab${openedCount !== 1 ? 's' : ''}` +
-                (failedCount > 0 ? ` (${failedCount} failed)` : '');
-            vscode.window.showInformationMessage(message);
+            const keepContent = await unsavedContent.confirmStoreContent(selectedItems.map(item => item.tabSet), storeName);
+
+            if (!keepContent) {
+                return;
+            }
+
+            let importedCount = 0;
+            let skippedCount = 0;
+
+            for (const { tabSet } of selectedItems) {
+                const match = existing.find(set => set.name === tabSet.name);
+
+                if (!match) {
+                    storage.importTabSet(tabSet, storeName, null, keepContent);
+                } else if (resolution === 'Overwrite') {
+                    storage.importTabSet(tabSet, storeName, match.id, keepContent);
+                } else if (resolution === 'Rename') {
+                    let copyNumber = 2;
+                    while (takenNames.has(`${tabSet.name} (${copyNumber})`)) {
+                        copyNumber++;
+                    }
+
+                    const name = `${tabSet.name} (${copyNumber})`;
+                    takenNames.add(name);
+                    storage.importTabSet(Object.assign({}, tabSet, { name }), storeName, null, keepContent);
+                } else {
+                    skippedCount++;
+                    continue;
+                }
+
+                importedCount++;
+            }
+
+            const skippedInfo = skippedCount > 0 ? `, skipped ${skippedCount}` : '';
+            vscode.window.showInformationMessage(
+                `Imported ${importedCount} tab set${importedCount !== 1 ? 's' : ''}${skippedInfo}`
+            );
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to open favorites: ${error.message}`);
+            vscode.window.showErrorMessage(`Failed to import tab sets: ${error.message}`);
         }
     });
 
+    // Command: Refresh Tab Hero view
+    let refreshTabSets = vscode.commands.registerCommand('extension.refreshTabSets', async function () {
+        await storage.reload();
+        tabSetsProvider.refresh();
+    });
+
     context.subscriptions.push(
         saveTabSet,
         openTabSet,
+        openTabSetWithMode,
         restoreBranchTabs,
         renameTabSet,
         deleteTabSet,
         toggleFavorite,
-        listFavorites
+        listFavorites,
+        updateTabSet,
+        addToTabSet,
+        removeFromTabSet,
+        duplicateTabSet,
+        saveTabSetToStore,
+        editTags,
+        findTabSetsWithFile,
+        restorePreviousSession,
+        showSessionHistory,
+        showStatusMenu,
+        restoreSlot,
+        saveToSlot,
+        assignSlot,
+        saveTabSetFromChanges,
+        saveTabSetFromBranch,
+        saveTabSetFromCommit,
+        moveTabSet,
+        repairTabSet,
+        cleanUpBranchTabSets,
+        exportTabSets,
+        importTabSets,
+        refreshTabSets
     );
+
+    // For other extensions, through vscode.extensions.getExtension('devtanc.tab-hero').exports
+    return tabHeroApi.createApi(saveTabSetWithOptions);
 }
 
 exports.activate = activate;
 
 function deactivate() {
+    sessionHistory.recordWindowClose();
+
+    // Let changes still being written reach the tab sets and history files
+    return Promise.all([storage.flush(), sessionHistory.flush()]);
 }
 
 exports.deactivate = deactivate;
@@ -1,32 +1,151 @@
+const vscode = require('vscode');
 const { exec } = require('child_process');
+const fs = require('fs');
 const path = require('path');
 const util = require('util');
 
 const execPromise = util.promisify(exec);
 
+// RefType.Tag in the built-in Git extension's API
+const REF_TYPE_TAG = 2;
+
+// Length of the commit hash keying a detached HEAD
+const DETACHED_HASH_LENGTH = 8;
+
+// Files and folders in the git directory while a rebase, merge, cherry-pick or bisect runs
+const OPERATION_MARKERS = ['rebase-merge', 'rebase-apply', 'MERGE_HEAD', 'CHERRY_PICK_HEAD', 'BISECT_LOG'];
+
 /**
  * Git helper module for branch detection and operations
+ *
+ * The current branch comes from VS Code's built-in Git extension when it has
+ * opened the repository, and from the git command line otherwise.
  */
 class GitHelper {
+    constructor() {
+        this.gitExtension = null;
+        this.operationMarkers = OPERATION_MARKERS;
+    }
+
+    /**
+     * Get the API of VS Code's built-in Git extension, or null when the
+     * extension or git.enabled is turned off
+     */
+    async getGitApi() {
+        if (!this.gitExtension) {
+            const extension = vscode.extensions.getExtension('vscode.git');
+
+            this.gitExtension = !extension
+                ? Promise.resolve(null)
+                : Promise.resolve(extension.isActive ? extension.exports : extension.activate())
+                    .catch(error => {
+                        console.log('Git extension not available:', error.message);
+                        return null;
+                    });
+        }
+
+        const gitExtension = await this.gitExtension;
+
+        try {
+            return gitExtension && gitExtension.enabled ? gitExtension.getAPI(1) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the Git extension's repository holding a folder, or null
+     *
+     * The innermost one wins, so a submodule or a worktree nested in another
+     * checkout gets its own repository rather than its parent's. Null until
+     * the Git extension has opened the repository.
+     */
+    async getRepository(workspaceFolder) {
+        const api = workspaceFolder ? await this.getGitApi() : null;
+
+        if (!api) {
+            return null;
+        }
+
+        const folderPath = path.resolve(workspaceFolder);
+        const containing = api.repositories.filter(repository => {
+            const relative = path.relative(repository.rootUri.fsPath, folderPath);
+            return !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+
+        containing.sort((a, b) => b.rootUri.fsPath.length - a.rootUri.fsPath.length);
+        return containing[0] || null;
+    }
+
+    /**
+     * Get the key tab sets use for a HEAD: the branch name, or for a
+     * detached HEAD "tag:<name>" or "commit:<hash>"
+     *
+     * Branch names can't contain a colon, so the keys never clash with one.
+     */
+    getHeadName({ branch, tag, commit }) {
+        if (branch) {
+            return branch;
+        }
+        if (tag) {
+            return `tag:${tag}`;
+        }
+        return commit ? `commit:${commit.slice(0, DETACHED_HASH_LENGTH)}` : null;
+    }
+
+    /**
+     * Get the key of a HEAD ref from the Git extension's API, or null
+     *
+     * The API names a detached HEAD after a tag pointing at it, if any.
+     */
+    describeRef(head) {
+        if (!head) {
+            return null;
+        }
+
+        return head.type === REF_TYPE_TAG
+            ? this.getHeadName({ tag: head.name, commit: head.commit })
+            : this.getHeadName({ branch: head.name, commit: head.commit });
+    }
+
     /**
      * Get the current git branch name
+     *
+     * A detached HEAD, e.g. while bisecting or on a tag checkout, is keyed by
+     * its tag or commit (see getHeadName). Returns null outside a repository.
      */
     async getCurrentBranch(workspaceFolder) {
         if (!workspaceFolder) {
             return null;
         }
 
+        const repository = await this.getRepository(workspaceFolder);
+        const name = repository ? this.describeRef(repository.state.HEAD) : null;
+
+        return name || this.getCurrentBranchFromGit(workspaceFolder);
+    }
+
+    /**
+     * Get the current branch from the git command line
+     *
+     * Git may warn on stderr, e.g. about an unreadable config file, so only
+     * the exit code tells whether a command failed.
+     */
+    async getCurrentBranchFromGit(workspaceFolder) {
+        const run = async command => (await execPromise(command, { cwd: workspaceFolder })).stdout.trim();
+
         try {
-            const { stdout, stderr } = await execPromise('git rev-parse --abbrev-ref HEAD', {
-                cwd: workspaceFolder
-            });
+            // Also names an unborn branch, before its first commit
+            return await run('git symbolic-ref --quiet --short HEAD');
+        } catch (error) {
+            // Detached HEAD, or not a git repository
+        }
 
-            if (stderr) {
-                console.error('Git error:', stderr);
-                return null;
-            }
+        try {
+            const commit = await run('git rev-parse --verify HEAD');
+            const tag = await run('git describe --tags --exact-match HEAD').catch(() => null);
 
-            return stdout.trim();
+            return this.getHeadName({ tag, commit });
         } catch (error) {
             // Not a git repository or git not available
             console.log('Not a git repository or git not available:', error.message);
@@ -43,14 +162,430 @@ class GitHelper {
         }
 
         try {
-            const { stderr } = await execPromise('git rev-parse --git-dir', {
+            await execPromise('git rev-parse --git-dir', {
+                cwd: workspaceFolder
+            });
+
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the absolute path of the git directory
+     *
+     * In a worktree or submodule that is its own directory under the main
+     * repository's .git, which holds its HEAD and operation markers.
+     */
+    async getGitDir(workspaceFolder) {
+        if (!workspaceFolder) {
+            return null;
+        }
+
+        try {
+            const { stdout } = await execPromise('git rev-parse --git-dir', {
                 cwd: workspaceFolder
             });
 
-            return !stderr;
+            return path.resolve(workspaceFolder, stdout.trim());
         } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check if a rebase, merge, cherry-pick or bisect is in progress
+     */
+    async isOperationInProgress(workspaceFolder) {
+        const gitDir = await this.getGitDir(workspaceFolder);
+        if (!gitDir) {
             return false;
         }
+
+        return OPERATION_MARKERS.some(marker => fs.existsSync(path.join(gitDir, marker)));
+    }
+
+    /**
+     * Get the files renamed in a folder since a date
+     *
+     * Covers renames committed since then and renames staged or made in the
+     * working tree since the last commit. Returns a Map from old to new path,
+     * both relative to the folder with forward slashes. Renames in a row are
+     * followed to the latest path.
+     */
+    async getRenamedPaths(workspaceFolder, since) {
+        const renames = new Map();
+
+        if (!workspaceFolder) {
+            return renames;
+        }
+
+        const sinceDate = new Date(since);
+        const sinceArg = isNaN(sinceDate) ? '' : ` --since=${sinceDate.toISOString()}`;
+        const commands = [
+            // Oldest first, so later renames build on earlier ones
+            `git log --reverse -M --diff-filter=R --name-status --format= --relative -z${sinceArg}`,
+            'git diff -M --diff-filter=R --name-status --relative -z HEAD'
+        ];
+
+        for (const command of commands) {
+            try {
+                const { stdout } = await execPromise(command, {
+                    cwd: workspaceFolder,
+                    maxBuffer: 16 * 1024 * 1024
+                });
+
+                this.parseRenames(stdout).forEach(([oldPath, newPath]) => {
+                    // Point earlier renames of the same file at its new path
+                    renames.forEach((target, source) => {
+                        if (target === oldPath) {
+                            renames.set(source, newPath);
+                        }
+                    });
+                    renames.set(oldPath, newPath);
+                });
+            } catch (error) {
+                // Not a git repository, no commits yet or git not available
+                console.log('Could not detect renamed files:', error.message);
+            }
+        }
+
+        return renames;
+    }
+
+    /**
+     * Parse "R<score> old new" entries of NUL-separated --name-status output
+     */
+    parseRenames(output) {
+        const fields = output.split('\0').map(field => field.replace(/^\n+/, '')).filter(Boolean);
+        const renames = [];
+
+        for (let i = 0; i < fields.length; i++) {
+            if (/^R\d*$/.test(fields[i]) && i + 2 < fields.length) {
+                renames.push([fields[i + 1], fields[i + 2]]);
+                i += 2;
+            }
+        }
+
+        return renames;
+    }
+
+    /**
+     * Check that a ref from a picker or setting is safe to pass to git
+     */
+    isValidRef(ref) {
+        return typeof ref === 'string' && /^[\w./@^~{}-]+$/.test(ref) && !ref.startsWith('-');
+    }
+
+    /**
+     * Run a git command with -z output and split it into its fields
+     *
+     * Returns null when the command fails.
+     */
+    async getNulFields(workspaceFolder, command) {
+        try {
+            const { stdout } = await execPromise(command, {
+                cwd: workspaceFolder,
+                maxBuffer: 16 * 1024 * 1024
+            });
+
+            return stdout.split('\0').map(field => field.replace(/^\n+/, '')).filter(Boolean);
+        } catch (error) {
+            console.log(`Git command failed: ${command}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve forward-slash paths against a folder, keeping files that exist
+     *
+     * Deleted files can't be opened, so they are left out.
+     */
+    resolveFiles(baseFolder, files) {
+        return [...new Set(files)]
+            .map(file => path.join(baseFolder, ...file.split('/')))
+            .filter(file => fs.existsSync(file) && fs.statSync(file).isFile());
+    }
+
+    /**
+     * Get the modified, staged and untracked files of a folder's working tree
+     *
+     * Returns absolute paths, or null when the folder isn't a git repository.
+     */
+    async getWorkingTreeFiles(workspaceFolder) {
+        if (!workspaceFolder) {
+            return null;
+        }
+
+        const root = await this.getRepositoryRoot(workspaceFolder);
+        const entries = root && await this.getNulFields(
+            workspaceFolder,
+            'git status --porcelain -z --untracked-files=all --no-renames -- .'
+        );
+
+        if (!entries) {
+            return null;
+        }
+
+        // Entries are "XY path", relative to the repository root
+        return this.resolveFiles(root, entries.map(entry => entry.slice(3)));
+    }
+
+    /**
+     * Get the absolute path of the repository a folder belongs to
+     */
+    async getRepositoryRoot(workspaceFolder) {
+        try {
+            const { stdout } = await execPromise('git rev-parse --show-toplevel', {
+                cwd: workspaceFolder
+            });
+
+            return path.resolve(stdout.trim());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the files changed on the current branch since it forked from a base
+     * branch, including uncommitted changes
+     *
+     * Returns absolute paths of the files in the folder, or null on error.
+     */
+    async getBranchChangedFiles(workspaceFolder, baseBranch) {
+        if (!workspaceFolder || !this.isValidRef(baseBranch)) {
+            return null;
+        }
+
+        try {
+            const { stdout } = await execPromise(`git merge-base ${baseBranch} HEAD`, {
+                cwd: workspaceFolder
+            });
+
+            const files = await this.getNulFields(
+                workspaceFolder,
+                `git diff --name-only -z --relative --diff-filter=d ${stdout.trim()}`
+            );
+
+            return files ? this.resolveFiles(workspaceFolder, files) : null;
+        } catch (error) {
+            console.log(`No merge base with ${baseBranch}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get the files a commit added or changed, compared with its first parent
+     *
+     * Returns absolute paths of the files in the folder, or null on error.
+     */
+    async getCommitFiles(workspaceFolder, commit) {
+        if (!workspaceFolder || !this.isValidRef(commit)) {
+            return null;
+        }
+
+        const files = await this.getNulFields(
+            workspaceFolder,
+            `git diff-tree -r --root -m --first-parent --no-commit-id --name-only -z --relative --diff-filter=d ${commit}`
+        );
+
+        return files ? this.resolveFiles(workspaceFolder, files) : null;
+    }
+
+    /**
+     * Get the local and remote branches of a folder's repository
+     */
+    async getBranches(workspaceFolder) {
+        if (!workspaceFolder) {
+            return [];
+        }
+
+        try {
+            const { stdout } = await execPromise(
+                'git for-each-ref --sort=-committerdate --format="%(refname:short)" refs/heads refs/remotes',
+                { cwd: workspaceFolder }
+            );
+
+            return stdout.split('\n')
+                .map(branch => branch.trim())
+                .filter(branch => branch && !branch.endsWith('/HEAD'));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get the names of a folder's local branches and of the branches on its
+     * remotes, without the remote name, or null outside a repository
+     */
+    async getBranchNames(workspaceFolder) {
+        if (!workspaceFolder) {
+            return null;
+        }
+
+        try {
+            const { stdout } = await execPromise(
+                'git for-each-ref --format="%(refname:lstrip=2)" refs/heads && ' +
+                'git for-each-ref --format="%(refname:lstrip=3)" refs/remotes',
+                { cwd: workspaceFolder }
+            );
+
+            return new Set(stdout.split('\n')
+                .map(branch => branch.trim())
+                .filter(branch => branch && branch !== 'HEAD'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the names of a folder's remotes
+     */
+    async getRemotes(workspaceFolder) {
+        try {
+            const { stdout } = await execPromise('git remote', { cwd: workspaceFolder });
+            return stdout.split('\n').map(remote => remote.trim()).filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get the branch a local branch tracks, without the remote name, or null
+     */
+    async getUpstreamBranch(workspaceFolder, branch) {
+        if (!workspaceFolder || !this.isValidRef(branch)) {
+            return null;
+        }
+
+        try {
+            const { stdout } = await execPromise(
+                `git for-each-ref --format="%(upstream:lstrip=3)" "refs/heads/${branch}"`,
+                { cwd: workspaceFolder }
+            );
+
+            return stdout.trim() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get a folder's default branch: the one origin/HEAD points at, or else a
+     * local main or master. Returns null when there is none.
+     */
+    async getDefaultBranch(workspaceFolder) {
+        if (!workspaceFolder) {
+            return null;
+        }
+
+        try {
+            const { stdout } = await execPromise('git symbolic-ref --quiet --short refs/remotes/origin/HEAD', {
+                cwd: workspaceFolder
+            });
+
+            return stdout.trim().replace(/^origin\//, '');
+        } catch (error) {
+            // No remote HEAD, look for the usual names
+        }
+
+        const names = await this.getBranchNames(workspaceFolder);
+        return names ? ['main', 'master'].find(name => names.has(name)) || null : null;
+    }
+
+    /**
+     * Read where a local branch came from, from its reflog
+     *
+     * Returns { createdFrom, renamedFrom, isNew }, or null when the branch has
+     * no reflog. createdFrom is the branch or commit it was created from, null
+     * when created from whatever HEAD was. renamedFrom is its previous name if
+     * its latest change was a rename. A new branch has no commits, resets or
+     * merges of its own yet.
+     */
+    async getBranchOrigin(workspaceFolder, branch) {
+        if (!workspaceFolder || !this.isValidRef(branch)) {
+            return null;
+        }
+
+        try {
+            const { stdout } = await execPromise(`git reflog show --format=%gs "refs/heads/${branch}" --`, {
+                cwd: workspaceFolder
+            });
+
+            // Newest first
+            const entries = stdout.split('\n').map(entry => entry.trim()).filter(Boolean);
+            if (entries.length === 0) {
+                return null;
+            }
+
+            const created = /^branch: Created from (.+)$/.exec(entries[entries.length - 1]);
+            const renamed = this.parseBranchRename(entries[0]);
+
+            return {
+                createdFrom: created && created[1] !== 'HEAD' ? created[1] : null,
+                renamedFrom: renamed && renamed[1] === branch ? renamed[0] : null,
+                isNew: !!created && entries.every(entry => entry.startsWith('branch: Created from') || this.parseBranchRename(entry))
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the branches renamed in a folder's repository, as a Map from each
+     * old name to the current one
+     */
+    async getBranchRenames(workspaceFolder) {
+        const renames = new Map();
+        const entries = workspaceFolder
+            ? await this.getNulFields(workspaceFolder, 'git reflog show --all -z --format=%gs')
+            : null;
+
+        (entries || []).forEach(entry => {
+            const rename = this.parseBranchRename(entry);
+
+            // Renames of the checked out branch are in HEAD's reflog too
+            if (rename && !renames.has(rename[0])) {
+                renames.set(rename[0], rename[1]);
+            }
+        });
+
+        // Follow renames in a row to the latest name
+        renames.forEach((target, source) => {
+            const seen = new Set([source]);
+            while (renames.has(target) && !seen.has(target)) {
+                seen.add(target);
+                target = renames.get(target);
+            }
+            renames.set(source, target);
+        });
+
+        return renames;
+    }
+
+    /**
+     * Parse a "Branch: renamed refs/heads/old to refs/heads/new" reflog
+     * message into [old, new], or null
+     */
+    parseBranchRename(message) {
+        const match = /^Branch: renamed refs\/heads\/(.+) to refs\/heads\/(.+)$/.exec(message);
+        return match ? [match[1], match[2]] : null;
+    }
+
+    /**
+     * Get the most recent commits of the current branch:
+     * [{ hash, shortHash, subject, author, date }]
+     */
+    async getRecentCommits(workspaceFolder, limit = 50) {
+        const entries = workspaceFolder
+            ? await this.getNulFields(workspaceFolder, `git log -n ${limit} -z --format=%H%x1f%h%x1f%s%x1f%an%x1f%ar`)
+            : null;
+
+        return (entries || []).map(entry => {
+            const [hash, shortHash, subject, author, date] = entry.split('\x1f');
+            return { hash, shortHash, subject, author, date };
+        });
     }
 
     /**
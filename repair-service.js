@@ -0,0 +1,193 @@
+const vscode = require('vscode');
+const path = require('path');
+const storage = require('./storage');
+const gitHelper = require('./git-helper');
+const tabPaths = require('./tab-paths');
+
+// Most files with the same name to suggest for a missing file
+const MAX_NAME_MATCHES = 10;
+
+/**
+ * Repairs tab sets whose files were moved, renamed or deleted
+ *
+ * Each missing file gets suggestions for its new location: renames git
+ * recorded since the set was saved first, then files with the same name in
+ * the workspace. The user remaps, removes or keeps each entry.
+ */
+class RepairService {
+    /**
+     * Find the tabs of a set whose files no longer exist
+     *
+     * Returns { index, tab, uri } for each, where uri is where the file was
+     * expected, or null when its workspace folder isn't open. Tabs saved with
+     * their content and tabs that aren't files, such as untitled editors, are
+     * never missing.
+     */
+    async findMissingTabs(tabSet) {
+        const missing = [];
+
+        for (const [index, tab] of tabSet.tabs.entries()) {
+            const uri = tabPaths.resolveTabUri(tab, storage.workspaceFolder);
+
+            if (typeof tab.content === 'string' || (uri && uri.scheme !== 'file')) {
+                continue;
+            }
+
+            if (uri && !await this.exists(uri)) {
+                missing.push({ index, tab, uri });
+            } else if (!uri) {
+                missing.push({ index, tab, uri: null });
+            }
+        }
+
+        return missing;
+    }
+
+    /**
+     * Check whether a file exists
+     */
+    async exists(uri) {
+        try {
+            await vscode.workspace.fs.stat(uri);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Suggest new locations for a missing file: [{ uri, reason }]
+     *
+     * Renames are looked up in git once per folder, from the time the set was
+     * last changed; renameCache keeps them across the files of one repair.
+     */
+    async suggestLocations(tabSet, missingTab, renameCache) {
+        const suggestions = [];
+        const add = (uri, reason) => {
+            if (!suggestions.some(suggestion => suggestion.uri.toString() === uri.toString())) {
+                suggestions.push({ uri, reason });
+            }
+        };
+
+        const folder = missingTab.uri ? vscode.workspace.getWorkspaceFolder(missingTab.uri) : undefined;
+
+        if (folder && folder.uri.scheme === 'file') {
+            const folderPath = folder.uri.fsPath;
+            if (!renameCache.has(folderPath)) {
+                renameCache.set(folderPath, await gitHelper.getRenamedPaths(folderPath, tabSet.updatedAt || tabSet.createdAt));
+            }
+
+            const relativePath = path.relative(folderPath, missingTab.uri.fsPath).split(path.sep).join('/');
+            const renamedPath = renameCache.get(folderPath).get(relativePath);
+
+            if (renamedPath) {
+                const renamedUri = vscode.Uri.joinPath(folder.uri, ...renamedPath.split('/'));
+                if (await this.exists(renamedUri)) {
+                    add(renamedUri, 'Renamed in git');
+                }
+            }
+        }
+
+        const fileName = missingTab.tab.fileName || (missingTab.uri ? missingTab.uri.path.split('/').pop() : null);
+
+        if (fileName && (vscode.workspace.workspaceFolders || []).length > 0) {
+            // Escape glob characters so the name matches literally
+            const pattern = `**/${fileName.replace(/[[\]{}*?]/g, '[$&]')}`;
+            const matches = await vscode.workspace.findFiles(pattern, '**/node_modules/**', MAX_NAME_MATCHES);
+            matches.forEach(uri => add(uri, 'Same file name'));
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * Walk the user through the missing files of a tab set
+     *
+     * Returns { remappedCount, removedCount, keptCount, cancelled }. Pressing
+     * Escape stops asking; the choices made so far are still applied.
+     */
+    async repair(tabSet, missingTabs) {
+        const result = { remappedCount: 0, removedCount: 0, keptCount: 0, cancelled: false };
+        const remaps = [];
+        const removals = [];
+        const renameCache = new Map();
+
+        for (const [position, missingTab] of missingTabs.entries()) {
+            const location = tabPaths.describeTabLocation(missingTab.tab, missingTab.uri) || missingTab.tab.fileName;
+            const suggestions = await this.suggestLocations(tabSet, missingTab, renameCache);
+
+            const items = suggestions.map(suggestion => ({
+                label: `$(file) ${vscode.workspace.asRelativePath(suggestion.uri)}`,
+                description: suggestion.reason,
+                action: 'remap',
+                uri: suggestion.uri
+            })).concat([
+                { label: '$(folder-opened) Browse...', action: 'browse' },
+                { label: '$(trash) Remove from Tab Set', action: 'remove' },
+                { label: 'Keep for Now', action: 'keep' }
+            ]);
+
+            const selected = await vscode.window.showQuickPick(items, {
+                title: `Repair "${tabSet.name}" (${position + 1}/${missingTabs.length})`,
+                placeHolder: `${location} no longer exists${suggestions.length === 0 ? ' and no new location was found' : ''}`,
+                ignoreFocusOut: true
+            });
+
+            let action = selected ? selected.action : null;
+            let uri = selected ? selected.uri : null;
+
+            if (action === 'browse') {
+                const picked = await vscode.window.showOpenDialog({
+                    canSelectMany: false,
+                    defaultUri: missingTab.uri ? vscode.Uri.joinPath(missingTab.uri, '..') : undefined,
+                    openLabel: 'Use This File'
+                });
+
+                action = picked && picked.length > 0 ? 'remap' : 'keep';
+                uri = action === 'remap' ? picked[0] : null;
+            }
+
+            if (action === 'remap') {
+                remaps.push({ index: missingTab.index, uri });
+            } else if (action === 'remove') {
+                removals.push(missingTab.index);
+            } else if (action === 'keep') {
+                result.keptCount++;
+            } else {
+                result.cancelled = true;
+                break;
+            }
+        }
+
+        // Remapping keeps positions, so the removals' indexes stay valid
+        if (remaps.length > 0) {
+            result.remappedCount = Math.max(0, storage.remapTabs(tabSet.id, remaps));
+        }
+        if (removals.length > 0) {
+            result.removedCount = Math.max(0, storage.removeTabs(tabSet.id, removals));
+        }
+
+        return result;
+    }
+
+    /**
+     * Describe a repair result, e.g. "2 remapped, 1 removed"
+     */
+    describe(result) {
+        const notes = [];
+
+        if (result.remappedCount > 0) {
+            notes.push(`${result.remappedCount} remapped`);
+        }
+        if (result.removedCount > 0) {
+            notes.push(`${result.removedCount} removed`);
+        }
+        if (result.keptCount > 0) {
+            notes.push(`${result.keptCount} kept`);
+        }
+
+        return notes.length > 0 ? notes.join(', ') : 'no changes';
+    }
+}
+
+module.exports = new RepairService();
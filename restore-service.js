@@ -0,0 +1,346 @@
+const vscode = require('vscode');
+const storage = require('./storage');
+const tabPaths = require('./tab-paths');
+const editorState = require('./editor-state');
+const tabInputs = require('./tab-inputs');
+const config = require('./config');
+const unsavedContent = require('./unsaved-content');
+
+const RESTORE_MODES = ['merge', 'replace', 'newGroup', 'preview'];
+
+/**
+ * Restores tab sets into the editor, shared by every restore command
+ *
+ * Modes:
+ * - merge: open the set's tabs, skipping files that are already open
+ * - replace: close the open tabs first, warning about unsaved editors
+ * - newGroup: open the set in fresh editor groups beside the current ones
+ * - preview: show the set's files and open only the ones picked
+ *
+ * Tabs saved with their content reopen as unsaved or untitled editors.
+ */
+class RestoreService {
+    /**
+     * Get the available restore modes with their labels
+     */
+    getModes() {
+        return [
+            { mode: 'merge', label: 'Merge', description: 'Open alongside current tabs, skipping files already open' },
+            { mode: 'replace', label: 'Replace', description: 'Close current tabs first' },
+            { mode: 'newGroup', label: 'New Group', description: 'Open in a new editor group' },
+            { mode: 'preview', label: 'Preview', description: 'Review the file list before opening' }
+        ];
+    }
+
+    /**
+     * Let the user pick a restore mode for one restore
+     */
+    async pickMode() {
+        const defaultMode = this.getDefaultMode();
+        const items = this.getModes().map(item => Object.assign({}, item, {
+            label: item.mode === defaultMode ? `${item.label} (default)` : item.label
+        }));
+
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder: 'How should the tab set be opened?'
+        });
+
+        return selected ? selected.mode : null;
+    }
+
+    /**
+     * Get the configured default restore mode
+     */
+    getDefaultMode() {
+        const mode = config.getRestoreMode();
+        return RESTORE_MODES.includes(mode) ? mode : 'merge';
+    }
+
+    /**
+     * Restore a tab set
+     *
+     * Options: mode (defaults to the tabHero.restoreMode setting),
+     * workspaceFolder to restore only the tabs of one folder and
+     * interactive: false to never ask the user. Then unsaved editors stay
+     * open on replace, the preview mode is rejected and a preview default
+     * merges instead.
+     * Resolves to { openedCount, failedCount, skippedCount, limitedCount,
+     * closedCount, cancelled }, where limitedCount counts the tabs left closed
+     * by the tabHero.restore.maxTabs setting.
+     */
+    async restore(tabSet, options = {}) {
+        const interactive = options.interactive !== false;
+        let mode = RESTORE_MODES.includes(options.mode) ? options.mode : this.getDefaultMode();
+
+        if (!interactive && mode === 'preview') {
+            if (options.mode === 'preview') {
+                throw new Error('The preview mode asks which files to open, use another mode');
+            }
+            mode = 'merge';
+        }
+
+        const result = { openedCount: 0, failedCount: 0, skippedCount: 0, limitedCount: 0, closedCount: 0, cancelled: false };
+
+        let tabs = options.workspaceFolder
+            ? tabSet.tabs.filter(tab => tabPaths.getTabFolderName(tab) === options.workspaceFolder)
+            : tabSet.tabs;
+
+        if (mode === 'preview') {
+            tabs = await this.pickTabs(tabSet, tabs);
+            if (!tabs) {
+                result.cancelled = true;
+                return result;
+            }
+        }
+
+        if (mode === 'replace') {
+            const closedCount = await this.closeOpenTabs(options.workspaceFolder, interactive);
+            if (closedCount === null) {
+                result.cancelled = true;
+                return result;
+            }
+            result.closedCount = closedCount;
+        }
+
+        // Merge and preview leave open editors where they are
+        const openEditors = mode === 'merge' || mode === 'preview' ? this.getOpenEditorKeys() : new Set();
+
+        await this.openTabs(tabSet, tabs, {
+            newGroup: mode === 'newGroup',
+            skipEditors: openEditors
+        }, result);
+
+        // Counted for sorting sets by most used
+        if (result.openedCount + result.skippedCount > 0) {
+            storage.recordOpen(tabSet.id);
+        }
+
+        return result;
+    }
+
+    /**
+     * Show the set's files, all selected, and return the ones picked
+     */
+    async pickTabs(tabSet, tabs) {
+        const items = tabs.map(tab => ({
+            label: tab.fileName,
+            description: tab.relativePath && tab.relativePath !== tab.fileName ? tab.relativePath : (tab.homePath || ''),
+            picked: true,
+            tab: tab
+        }));
+
+        const selectedItems = await vscode.window.showQuickPick(items, {
+            canPickMany: true,
+            placeHolder: `Select files to open from "${tabSet.name}"`
+        });
+
+        if (!selectedItems || selectedItems.length === 0) {
+            return null;
+        }
+
+        return selectedItems.map(item => item.tab);
+    }
+
+    /**
+     * Get the kind and file of every open editor
+     */
+    getOpenEditorKeys() {
+        return new Set(vscode.window.tabGroups.all
+            .flatMap(group => group.tabs)
+            .map(tab => tabInputs.describeTabInput(tab.input))
+            .filter(input => input !== null)
+            .map(input => tabInputs.getEditorKey(input.kind, input.uri)));
+    }
+
+    /**
+     * Close open tabs, optionally only those of one workspace folder
+     *
+     * Asks what to do with unsaved editors first, or keeps them open without
+     * interactive. Returns the number of tabs actually closed, leaving out any
+     * an editor kept open, or null if the user cancelled.
+     */
+    async closeOpenTabs(workspaceFolder, interactive = true) {
+        let tabs = vscode.window.tabGroups.all.flatMap(group => group.tabs);
+
+        if (workspaceFolder) {
+            tabs = tabs.filter(tab => {
+                const input = tabInputs.describeTabInput(tab.input);
+                return input !== null && tabPaths.getTabFolderName(input) === workspaceFolder;
+            });
+        }
+
+        const dirtyTabs = tabs.filter(tab => tab.isDirty);
+
+        if (dirtyTabs.length > 0 && !interactive) {
+            tabs = tabs.filter(tab => !tab.isDirty);
+        } else if (dirtyTabs.length > 0) {
+            const choice = await vscode.window.showWarningMessage(
+                `${dirtyTabs.length} open editor${dirtyTabs.length !== 1 ? 's have' : ' has'} unsaved changes.`,
+                { modal: true },
+                'Save and Replace',
+                'Keep Unsaved Editors Open'
+            );
+
+            if (choice === 'Save and Replace') {
+                const dirtyDocs = vscode.workspace.textDocuments.filter(doc => doc.isDirty && dirtyTabs.some(tab =>
+                    tab.input instanceof vscode.TabInputText && tab.input.uri.toString() === doc.uri.toString()));
+                await Promise.all(dirtyDocs.map(doc => doc.save()));
+
+                // Anything that couldn't be saved stays open
+                const stillDirty = new Set(dirtyDocs.filter(doc => doc.isDirty).map(doc => doc.uri.toString()));
+                tabs = tabs.filter(tab => !dirtyTabs.includes(tab) ||
+                    (tab.input instanceof vscode.TabInputText && !stillDirty.has(tab.input.uri.toString())));
+            } else if (choice === 'Keep Unsaved Editors Open') {
+                tabs = tabs.filter(tab => !tab.isDirty);
+            } else {
+                return null;
+            }
+        }
+
+        if (tabs.length === 0) {
+            return 0;
+        }
+
+        try {
+            await vscode.window.tabGroups.close(tabs);
+        } catch (error) {
+            console.error('Failed to close tabs:', error);
+        }
+
+        const stillOpen = new Set(vscode.window.tabGroups.all.flatMap(group => group.tabs));
+        return tabs.filter(tab => !stillOpen.has(tab)).length;
+    }
+
+    /**
+     * Open tabs, rebuilding editor groups, tab order, pinned tabs and focus,
+     * and each text file's cursor, scroll position and folds
+     *
+     * Diff, notebook and custom editor tabs reopen in their own kind of editor.
+     */
+    async openTabs(tabSet, setTabs, options, result) {
+        const tabs = this.sortTabs(setTabs, config.getRestoreOrder());
+        const maxTabs = config.getMaxRestoreTabs();
+
+        // Saved groups may have gaps when tabs were left out, so renumber them.
+        // A new group goes after the last group that is open now.
+        const savedColumns = [...new Set(tabs.map(tab => tab.viewColumn || 1))];
+        const firstColumn = options.newGroup
+            ? Math.max(0, ...vscode.window.tabGroups.all.map(group => group.viewColumn)) + 1
+            : 1;
+        const columnFor = tab => savedColumns.indexOf(tab.viewColumn || 1) + firstColumn;
+
+        if (!options.newGroup && tabSet.layout && savedColumns.length > 1 &&
+            tabSet.layout.groups && tabSet.layout.groups.length === savedColumns.length) {
+            try {
+                await vscode.commands.executeCommand('vscode.setEditorLayout', tabSet.layout);
+            } catch (error) {
+                console.error('Failed to restore editor layout:', error);
+            }
+        }
+
+        const activeEditors = [];
+
+        for (const tab of tabs) {
+            try {
+                const uri = tabPaths.resolveTabUri(tab, storage.workspaceFolder);
+                if (!uri) {
+                    throw new Error(`Cannot resolve ${tab.relativePath || tab.fileName} in this workspace`);
+                }
+
+                if (options.skipEditors.has(tabInputs.getEditorKey(tab.kind, uri))) {
+                    result.skippedCount++;
+                    continue;
+                }
+
+                if (maxTabs > 0 && result.openedCount >= maxTabs) {
+                    result.limitedCount++;
+                    continue;
+                }
+
+                const originalUri = tab.original ? tabPaths.resolveTabUri(tab.original, storage.workspaceFolder) : null;
+                const viewColumn = columnFor(tab);
+                const editor = typeof tab.content === 'string'
+                    ? await unsavedContent.showContent(tab, uri, viewColumn)
+                    : await tabInputs.showTab(tab, uri, originalUri, viewColumn);
+
+                if (editor) {
+                    await editorState.applyState(editor, tab);
+                }
+
+                if (tab.isPinned) {
+                    await vscode.commands.executeCommand('workbench.action.pinEditor');
+                }
+
+                // Content may have opened as a new untitled document
+                if (tab.isActive) {
+                    activeEditors.push({ tab, uri: editor ? editor.document.uri : uri, originalUri, viewColumn });
+                }
+
+                result.openedCount++;
+            } catch (error) {
+                console.error(`Failed to open ${tab.fileName}:`, error);
+                result.failedCount++;
+            }
+        }
+
+        // Bring each group's active tab to the front, focusing the saved active group last
+        const activeColumn = tabSet.activeViewColumn && savedColumns.includes(tabSet.activeViewColumn)
+            ? columnFor({ viewColumn: tabSet.activeViewColumn })
+            : 0;
+        activeEditors.sort((a, b) => (a.viewColumn === activeColumn) - (b.viewColumn === activeColumn));
+
+        for (const { tab, uri, originalUri, viewColumn } of activeEditors) {
+            try {
+                await tabInputs.showTab(tab, uri, originalUri, viewColumn);
+            } catch (error) {
+                console.error(`Failed to activate ${tab.fileName}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Sort tabs by group, then within each group in the given order
+     *
+     * Orders: "saved" (their saved positions), "name" (file name) or "path"
+     * (path within the workspace). Sets saved before layouts were recorded
+     * open in one group.
+     */
+    sortTabs(setTabs, order) {
+        const compare = {
+            name: (a, b) => a.tab.fileName.localeCompare(b.tab.fileName, undefined, { numeric: true, sensitivity: 'base' }),
+            path: (a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: 'base' })
+        }[order] || ((a, b) => a.order - b.order);
+
+        return setTabs
+            .map((tab, position) => ({
+                tab,
+                column: tab.viewColumn || 1,
+                order: typeof tab.index === 'number' ? tab.index : position,
+                path: tab.relativePath || tab.homePath || tab.uri || tab.fileName
+            }))
+            .sort((a, b) => (a.column - b.column) || compare(a, b))
+            .map(entry => entry.tab);
+    }
+
+    /**
+     * Describe a restore result, e.g. "3 tabs (1 already open, 1 failed)"
+     */
+    describe(result) {
+        const notes = [];
+
+        if (result.skippedCount > 0) {
+            notes.push(`${result.skippedCount} already open`);
+        }
+        if (result.failedCount > 0) {
+            notes.push(`${result.failedCount} failed`);
+        }
+        if (result.limitedCount > 0) {
+            notes.push(`${result.limitedCount} left closed by the tab limit`);
+        }
+
+        return `${result.openedCount} tab${result.openedCount !== 1 ? 's' : ''}` +
+            (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+    }
+}
+
+module.exports = new RestoreService();
@@ -0,0 +1,291 @@
+const vscode = require('vscode');
+const path = require('path');
+const TabStore = require('./tab-store');
+const config = require('./config');
+
+// Closing at least this many tabs within BURST_DELAY counts as a bulk close
+const BULK_CLOSE_COUNT = 3;
+const BURST_DELAY = 1000;
+
+/**
+ * Records snapshots of the open tabs so an accidental close or a crash
+ * doesn't lose them
+ *
+ * Snapshots are taken on branch changes, on bulk tab closes, periodically
+ * and when the window closes. They are kept as tab sets in their own file,
+ * tab-hero-history.json next to the personal tab sets, newest first and up to
+ * the tabHero.history.maxSnapshots setting.
+ */
+class SessionHistory {
+    constructor() {
+        this.store = new TabStore('the tab history file');
+        this.startedAt = new Date().toISOString();
+        this.captureTabs = () => [];
+        this.getBranches = async () => ({ branch: null, branches: null });
+        this.lastTabs = [];
+        this.burst = null;
+        this.timer = null;
+        this.disposables = [];
+    }
+
+    /**
+     * Load the history kept in a folder, or unload it when there is none
+     */
+    initialize(storageFolder, workspaceFolder) {
+        this.store.initialize(
+            storageFolder ? path.join(storageFolder, 'tab-hero-history.json') : null,
+            workspaceFolder || null
+        );
+    }
+
+    /**
+     * Start taking snapshots
+     *
+     * captureTabs returns the open tabs with file metadata, synchronously so it
+     * can run while the window closes. getBranches resolves the branches of
+     * tabs like getBranchesForTabs.
+     */
+    start(context, captureTabs, getBranches) {
+        this.captureTabs = captureTabs;
+        this.getBranches = getBranches;
+        this.lastTabs = captureTabs();
+
+        this.disposables.push(
+            vscode.window.tabGroups.onDidChangeTabs(event => this.onDidChangeTabs(event)),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('tabHero.history')) {
+                    this.startTimer();
+                }
+            })
+        );
+        this.startTimer();
+
+        context.subscriptions.push(this);
+    }
+
+    /**
+     * Take periodic snapshots, as often as the tabHero.history.interval setting says
+     */
+    startTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        const minutes = config.getHistoryInterval();
+        if (minutes > 0) {
+            this.timer = setInterval(() => this.snapshot('Periodic snapshot'), minutes * 60 * 1000);
+        }
+    }
+
+    /**
+     * Track the open tabs, and snapshot them as they were before a bulk close
+     *
+     * Commands like Close All close tabs one event at a time, so closes within
+     * BURST_DELAY of each other are counted together.
+     */
+    onDidChangeTabs(event) {
+        if (event.closed.length > 0) {
+            if (!this.burst) {
+                this.burst = { tabs: this.lastTabs, count: 0, timer: null };
+            }
+
+            this.burst.count += event.closed.length;
+            clearTimeout(this.burst.timer);
+            this.burst.timer = setTimeout(() => this.endBurst(), BURST_DELAY);
+        }
+
+        if (!this.burst) {
+            this.lastTabs = this.captureTabs();
+        }
+    }
+
+    /**
+     * Snapshot the tabs from before a burst of closes, if it was a bulk close
+     */
+    endBurst() {
+        const burst = this.burst;
+        this.burst = null;
+        this.lastTabs = this.captureTabs();
+
+        if (burst.count >= BULK_CLOSE_COUNT) {
+            this.snapshot(`Before closing ${burst.count} tabs`, burst.tabs);
+        }
+    }
+
+    /**
+     * Snapshot tabs, the open ones by default, with their branches
+     *
+     * branchInfo ({ branch, branches }) is looked up when not given.
+     */
+    async snapshot(reason, tabs = this.captureTabs(), branchInfo = null) {
+        try {
+            const branches = branchInfo || await this.getBranches(tabs);
+            return this.record(reason, tabs, branches);
+        } catch (error) {
+            console.error('Failed to record session snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Snapshot the open tabs while the window closes, without branches
+     */
+    recordWindowClose() {
+        try {
+            this.record('Window closed', this.captureTabs());
+        } catch (error) {
+            console.error('Failed to record session snapshot:', error);
+        }
+    }
+
+    /**
+     * Save a snapshot unless there are no tabs or they match the latest one
+     *
+     * Returns the snapshot, or null if none was saved.
+     */
+    record(reason, tabs, branchInfo = {}) {
+        const maxSnapshots = config.getHistorySize();
+
+        if (!this.store.storageFile || maxSnapshots === 0 || tabs.length === 0) {
+            return null;
+        }
+
+        const latest = this.getSnapshots()[0];
+        const signature = tabs.map(tab => this.getTabSignature(this.store.toStoredTab(tab))).join('\n');
+
+        if (latest && latest.tabs.map(tab => this.getTabSignature(tab)).join('\n') === signature) {
+            return null;
+        }
+
+        const snapshot = this.store.saveTabSet(reason, tabs, branchInfo.branch || null, false, {
+            branches: branchInfo.branches || null
+        });
+        this.store.pruneOldestTabSets(maxSnapshots);
+
+        return snapshot;
+    }
+
+    /**
+     * Identify a stored tab by its file, kind and editor group
+     */
+    getTabSignature(tab) {
+        return `${tab.viewColumn}:${this.store.getTabKey(tab)}`;
+    }
+
+    /**
+     * Get all snapshots, newest first
+     */
+    getSnapshots() {
+        return this.store.getAllTabSets().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Get the last snapshot taken before this window opened, or null
+     */
+    getPreviousSession() {
+        return this.getSnapshots().find(snapshot => snapshot.createdAt < this.startedAt) || null;
+    }
+
+    /**
+     * Show the snapshots as a timeline grouped by day
+     *
+     * Resolves to { snapshot, action }, where action is "restore" or "save",
+     * or null if the user cancelled.
+     */
+    pickSnapshot() {
+        const quickPick = vscode.window.createQuickPick();
+        const saveButton = { iconPath: new vscode.ThemeIcon('save'), tooltip: 'Save as Tab Set' };
+        const items = [];
+        let day = null;
+
+        this.getSnapshots().forEach(snapshot => {
+            const created = new Date(snapshot.createdAt);
+            const label = this.describeDay(created);
+            const tabCount = snapshot.tabs.length;
+
+            if (label !== day) {
+                items.push({ label, kind: vscode.QuickPickItemKind.Separator });
+                day = label;
+            }
+
+            items.push({
+                label: `$(history) ${snapshot.name}`,
+                description: `${created.toLocaleTimeString()} • ${tabCount} tab${tabCount !== 1 ? 's' : ''}`,
+                detail: snapshot.tabs.map(tab => tab.fileName).join(', '),
+                buttons: [saveButton],
+                snapshot: snapshot
+            });
+        });
+
+        quickPick.title = 'Session History';
+        quickPick.placeholder = 'Select a snapshot to restore, or save it as a tab set with its button';
+        quickPick.matchOnDescription = true;
+        quickPick.matchOnDetail = true;
+        quickPick.items = items;
+
+        return new Promise(resolve => {
+            let picked = null;
+
+            quickPick.onDidAccept(() => {
+                const item = quickPick.selectedItems[0];
+                if (item && item.snapshot) {
+                    picked = { snapshot: item.snapshot, action: 'restore' };
+                    quickPick.hide();
+                }
+            });
+
+            quickPick.onDidTriggerItemButton(event => {
+                picked = { snapshot: event.item.snapshot, action: 'save' };
+                quickPick.hide();
+            });
+
+            quickPick.onDidHide(() => {
+                quickPick.dispose();
+                resolve(picked);
+            });
+
+            quickPick.show();
+        });
+    }
+
+    /**
+     * Name the day of a date for the timeline: Today, Yesterday or the date
+     */
+    describeDay(date) {
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+        if (date.toDateString() === today.toDateString()) {
+            return 'Today';
+        }
+        if (date.toDateString() === yesterday.toDateString()) {
+            return 'Yesterday';
+        }
+        return date.toLocaleDateString();
+    }
+
+    /**
+     * Wait until all snapshots so far have been written
+     */
+    flush() {
+        return this.store.flush();
+    }
+
+    dispose() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.burst) {
+            clearTimeout(this.burst.timer);
+            this.burst = null;
+        }
+
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+        this.store.dispose();
+    }
+}
+
+module.exports = new SessionHistory();
@@ -0,0 +1,162 @@
+const vscode = require('vscode');
+const storage = require('./storage');
+const tabPaths = require('./tab-paths');
+const tabInputs = require('./tab-inputs');
+
+// Tab changes come in bursts while sets are restored or closed
+const REFRESH_DELAY = 300;
+
+/**
+ * Status bar item showing the current branch's latest tab set
+ *
+ * Marks when the open tabs have drifted from that set, and opens a menu to
+ * restore or update it, or save the open tabs as a new set. Follows tab,
+ * editor, branch and storage changes.
+ */
+class TabSetStatusBar {
+    constructor(getOpenTabs, getActiveBranch) {
+        this.getOpenTabs = getOpenTabs;
+        this.getActiveBranch = getActiveBranch;
+        this.timer = null;
+
+        this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 50);
+        this.item.name = 'Tab Hero';
+        this.item.command = 'extension.showStatusMenu';
+
+        this.disposables = [
+            this.item,
+            storage.onDidChange(() => this.scheduleRefresh()),
+            vscode.window.tabGroups.onDidChangeTabs(() => this.scheduleRefresh()),
+            vscode.window.onDidChangeActiveTextEditor(() => this.scheduleRefresh())
+        ];
+    }
+
+    /**
+     * Refresh once a burst of changes has settled
+     */
+    scheduleRefresh() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.refresh();
+        }, REFRESH_DELAY);
+    }
+
+    /**
+     * Get the current branch, its latest tab set and how the open tabs differ
+     *
+     * Returns null outside a git repository. In a multi-root workspace only the
+     * active folder's tabs and sets are compared.
+     */
+    getState() {
+        const active = this.getActiveBranch();
+
+        if (!active) {
+            return null;
+        }
+
+        const multiRoot = (vscode.workspace.workspaceFolders || []).length > 1;
+        const folderName = multiRoot ? active.folder.name : null;
+        const tabSet = storage.getLatestTabSetForBranch(active.branch, folderName);
+        const state = { folderName, branch: active.branch, tabSet, addedCount: 0, missingCount: 0 };
+
+        if (!tabSet) {
+            return state;
+        }
+
+        const openKeys = new Set(this.getOpenTabs()
+            .filter(tab => !folderName || tabPaths.getTabFolderName(tab) === folderName)
+            .map(tab => tabInputs.getEditorKey(tab.kind, tab.uri)));
+        const setKeys = new Set(tabSet.tabs
+            .filter(tab => !folderName || tabPaths.getTabFolderName(tab) === folderName)
+            .map(tab => {
+                const uri = tabPaths.resolveTabUri(tab, storage.workspaceFolder);
+                return uri ? tabInputs.getEditorKey(tab.kind, uri) : null;
+            })
+            .filter(Boolean));
+
+        state.addedCount = [...openKeys].filter(key => !setKeys.has(key)).length;
+        state.missingCount = [...setKeys].filter(key => !openKeys.has(key)).length;
+
+        return state;
+    }
+
+    /**
+     * Show the current state in the status bar item
+     */
+    refresh() {
+        const state = this.getState();
+
+        if (!state) {
+            this.item.hide();
+            return;
+        }
+
+        const branchName = state.folderName ? `${state.folderName}: ${state.branch}` : state.branch;
+
+        if (!state.tabSet) {
+            this.item.text = '$(layers) No tab set';
+            this.item.tooltip = `No tab set saved for branch "${branchName}". Click to save the open tabs.`;
+            this.item.show();
+            return;
+        }
+
+        const drifted = state.addedCount > 0 || state.missingCount > 0;
+        const changes = [
+            state.addedCount > 0 ? `${state.addedCount} open tab${state.addedCount !== 1 ? 's' : ''} not in the set` : '',
+            state.missingCount > 0 ? `${state.missingCount} file${state.missingCount !== 1 ? 's' : ''} of the set not open` : ''
+        ].filter(Boolean);
+
+        this.item.text = `$(${drifted ? 'layers-dot' : 'layers'}) ${state.tabSet.name}${drifted ? '*' : ''}`;
+        this.item.tooltip = [
+            `Latest tab set for branch "${branchName}": "${state.tabSet.name}"`,
+            drifted ? `Open tabs have changed: ${changes.join(', ')}` : 'Open tabs match the set',
+            'Click for tab set actions'
+        ].join('\n');
+        this.item.show();
+    }
+
+    /**
+     * Show the actions for the current branch's tab set
+     */
+    async showMenu() {
+        const state = this.getState();
+        const items = [];
+
+        if (state && state.tabSet) {
+            items.push(
+                { label: `$(folder-opened) Restore "${state.tabSet.name}"`, command: 'extension.openTabSet', node: { tabSet: state.tabSet } },
+                { label: `$(sync) Update "${state.tabSet.name}" from Open Tabs`, command: 'extension.updateTabSet', node: { tabSet: state.tabSet } }
+            );
+        }
+
+        items.push(
+            { label: '$(save) Save Open Tabs as New Tab Set', command: 'extension.saveTabSet' },
+            { label: '$(list-selection) Open Another Tab Set...', command: 'extension.openTabSet' },
+            { label: '$(history) Show Session History', command: 'extension.showSessionHistory' }
+        );
+
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder: state ? `Tab sets for branch "${state.branch}"` : 'Tab sets'
+        });
+
+        if (selected) {
+            await vscode.commands.executeCommand(selected.command, selected.node);
+        }
+    }
+
+    dispose() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
+
+module.exports = TabSetStatusBar;
@@ -1,198 +1,646 @@
 const vscode = require('vscode');
-const fs = require('fs');
 const path = require('path');
+const TabStore = require('./tab-store');
+
+/**
+ * The stores tab sets can be saved to, in the order they are listed
+ */
+const STORES = [
+    {
+        name: 'personal',
+        label: 'Personal',
+        description: 'Only you, kept in VS Code\'s workspace storage',
+        fileLabel: 'the personal tab-hero.json'
+    },
+    {
+        name: 'shared',
+        label: 'Shared',
+        description: 'Your team, in .vscode/tab-hero.json to commit',
+        fileLabel: 'tab-hero.json'
+    },
+    {
+        name: 'global',
+        label: 'Global',
+        description: 'Every workspace, kept in VS Code\'s global storage',
+        fileLabel: 'the global tab-hero.json',
+        isGlobal: true
+    }
+];
 
 /**
  * Storage module for managing persistent tab sets
+ *
+ * Tab sets live in three stores: a personal one in the extension's workspace
+ * storage, a shared one in the workspace's .vscode/tab-hero.json, meant to be
+ * committed, and a global library in the extension's global storage that is
+ * available in every window, even without a folder open. Tab sets returned
+ * from here carry the name of their store.
  */
 class TabStorage {
     constructor() {
-        this.storageFile = null;
+        this.workspaceFolder = null;
+        this.stores = new Map(STORES.map(info => [info.name, new TabStore(info.fileLabel, !!info.isGlobal)]));
+
+        this.changeEmitter = new vscode.EventEmitter();
+        // Fires with { store, external } after every change to a store
+        this.onDidChange = this.changeEmitter.event;
+
+        this.stores.forEach((store, name) => {
+            store.onDidChange(event => this.changeEmitter.fire(Object.assign({ store: name }, event)));
+        });
     }
 
     /**
      * Initialize storage with workspace path
+     *
+     * Personal tab sets are kept in personalFolder, the extension's workspace
+     * storage, and the global library in globalFolder. Without a workspace
+     * folder only the global library is available. Backups of an unreadable
+     * shared file go to personalFolder too, so they aren't committed.
      */
-    initialize(workspaceFolder) {
-        if (!workspaceFolder) {
-            throw new Error('No workspace folder found. Please open a folder or workspace.');
-        }
+    initialize(workspaceFolder, personalFolder = null, globalFolder = null) {
+        this.workspaceFolder = workspaceFolder || null;
+
+        this.stores.get('shared').initialize(
+            workspaceFolder ? path.join(workspaceFolder, '.vscode', 'tab-hero.json') : null,
+            workspaceFolder,
+            personalFolder ? path.join(personalFolder, 'shared-tab-hero.json') : null
+        );
+        this.stores.get('personal').initialize(
+            workspaceFolder && personalFolder ? path.join(personalFolder, 'tab-hero.json') : null,
+            workspaceFolder
+        );
+        this.stores.get('global').initialize(
+            globalFolder ? path.join(globalFolder, 'tab-hero.json') : null,
+            null
+        );
+    }
 
-        const vscodeFolder = path.join(workspaceFolder, '.vscode');
+    /**
+     * Get the stores tab sets can be saved to: { name, label, description }
+     */
+    getStores() {
+        return STORES.filter(info => this.stores.get(info.name).storageFile);
+    }
 
-        // Create .vscode folder if it doesn't exist
-        if (!fs.existsSync(vscodeFolder)) {
-            fs.mkdirSync(vscodeFolder, { recursive: true });
-        }
+    /**
+     * Get the display name of a store
+     */
+    getStoreLabel(name) {
+        const info = STORES.find(store => store.name === name);
+        return info ? info.label : name;
+    }
 
-        this.storageFile = path.join(vscodeFolder, 'tab-hero.json');
+    /**
+     * Get the store to save to, falling back to any available one
+     */
+    resolveStore(name) {
+        const available = this.getStores();
+        const info = available.find(store => store.name === name) || available[0];
 
-        // Create storage file if it doesn't exist
-        if (!fs.existsSync(this.storageFile)) {
-            this.writeData({ tabSets: [], favorites: [] });
+        if (!info) {
+            throw new Error('No workspace folder open. Please open a folder first.');
         }
+
+        return this.stores.get(info.name);
     }
 
     /**
-     * Read all data from storage
+     * Get the name of the store holding a tab set, or null
      */
-    readData() {
-        try {
-            const data = fs.readFileSync(this.storageFile, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading storage file:', error);
-            return { tabSets: [], favorites: [] };
+    getStoreName(id) {
+        for (const [name, store] of this.stores) {
+            if (store.cache.tabSets.some(set => set.id === id)) {
+                return name;
+            }
         }
+
+        return null;
     }
 
     /**
-     * Write data to storage
+     * Get the store holding a tab set, or null
      */
-    writeData(data) {
-        try {
-            fs.writeFileSync(this.storageFile, JSON.stringify(data, null, 2), 'utf8');
-            return true;
-        } catch (error) {
-            console.error('Error writing storage file:', error);
-            return false;
-        }
+    findStore(id) {
+        const name = this.getStoreName(id);
+        return name ? this.stores.get(name) : null;
     }
 
     /**
-     * Save a new tab set
+     * Mark tab sets with the store they come from
      */
-    saveTabSet(name, tabs, branch = null, isFavorite = false) {
-        const data = this.readData();
-
-        const tabSet = {
-            id: Date.now().toString(),
-            name: name,
-            branch: branch,
-            tabs: tabs.map(tab => ({
-                uri: tab.uri.toString(),
-                fileName: tab.fileName,
-                languageId: tab.languageId
-            })),
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            isFavorite: isFavorite
-        };
-
-        data.tabSets.push(tabSet);
+    annotate(tabSets, name) {
+        return tabSets.map(tabSet => Object.assign(tabSet, { store: name }));
+    }
 
-        if (isFavorite && !data.favorites.includes(tabSet.id)) {
-            data.favorites.push(tabSet.id);
+    /**
+     * Generate a tab set ID that isn't in use in any store
+     */
+    generateId() {
+        let id = Date.now();
+        while (this.getStoreName(id.toString())) {
+            id++;
         }
+        return id.toString();
+    }
 
-        this.writeData(data);
-        return tabSet;
+    /**
+     * Save a new tab set
+     *
+     * Options are those of TabStore.saveTabSet, plus the store to save to
+     * (store), "personal" when not given. Global sets aren't tied to a branch,
+     * as they are used across repositories.
+     */
+    saveTabSet(name, tabs, branch = null, isFavorite = false, options = {}) {
+        const storeName = options.store || 'personal';
+        const store = this.resolveStore(storeName);
+        const tabSet = store.isGlobal
+            ? store.saveTabSet(name, tabs, null, isFavorite,
+                Object.assign({}, options, { id: this.generateId(), branches: null }))
+            : store.saveTabSet(name, tabs, branch, isFavorite,
+                Object.assign({}, options, { id: this.generateId() }));
+
+        return this.annotate([tabSet], this.getStoreName(tabSet.id))[0];
     }
 
     /**
-     * Get all tab sets
+     * Get all tab sets: personal, then shared, then global ones
      */
     getAllTabSets() {
-        const data = this.readData();
-        return data.tabSets || [];
+        const tabSets = [];
+
+        this.stores.forEach((store, name) => {
+            tabSets.push(...this.annotate(store.getAllTabSets(), name));
+        });
+
+        return tabSets;
     }
 
     /**
-     * Get tab sets for a specific branch
+     * Get tab sets for a specific branch, optionally of one workspace folder
      */
-    getTabSetsByBranch(branch) {
-        const data = this.readData();
-        return (data.tabSets || []).filter(set => set.branch === branch);
+    getTabSetsByBranch(branch, folderName = null) {
+        return this.getAllTabSets().filter(set => TabStore.matchesBranch(set, branch, folderName));
     }
 
     /**
      * Get favorite tab sets
      */
     getFavorites() {
-        const data = this.readData();
-        return (data.tabSets || []).filter(set => set.isFavorite);
+        return this.getAllTabSets().filter(set => set.isFavorite);
     }
 
     /**
      * Get a specific tab set by ID
      */
     getTabSetById(id) {
-        const data = this.readData();
-        return (data.tabSets || []).find(set => set.id === id);
+        const name = this.getStoreName(id);
+        return name ? this.annotate([this.stores.get(name).getTabSetById(id)], name)[0] : undefined;
+    }
+
+    /**
+     * Find a tab set by ID, or else by name
+     *
+     * Names match exactly, then ignoring case. When several sets share a
+     * name, the most recent one wins. Returns undefined if none matches.
+     */
+    findTabSet(idOrName) {
+        if (typeof idOrName !== 'string' || !idOrName.trim()) {
+            return undefined;
+        }
+
+        const byId = this.getTabSetById(idOrName);
+        if (byId) {
+            return byId;
+        }
+
+        const name = idOrName.trim();
+        const tabSets = this.sortTabSets(this.getAllTabSets());
+
+        return tabSets.find(tabSet => tabSet.name === name) ||
+            tabSets.find(tabSet => tabSet.name.toLowerCase() === name.toLowerCase());
+    }
+
+    /**
+     * Get the tab sets matching a query, sorted
+     *
+     * Queries are those of TabStore.queryTabSets, plus the store to search
+     * (store), the sort order (sort) and whether favorites come first
+     * (favoritesFirst).
+     */
+    queryTabSets(query = {}) {
+        const tabSets = [];
+
+        this.stores.forEach((store, name) => {
+            if (!query.store || query.store === name) {
+                tabSets.push(...this.annotate(store.queryTabSets(query), name));
+            }
+        });
+
+        return this.sortTabSets(tabSets, query.sort, !!query.favoritesFirst);
+    }
+
+    /**
+     * Sort tab sets in place
+     *
+     * Orders: "recent" (last saved or opened first), "name" or "mostUsed".
+     */
+    sortTabSets(tabSets, order = 'recent', favoritesFirst = false) {
+        const lastUsed = tabSet => Math.max(
+            new Date(tabSet.updatedAt).getTime() || 0,
+            new Date(this.getUsage(tabSet).lastOpenedAt).getTime() || 0
+        );
+        const compareRecent = (a, b) => lastUsed(b) - lastUsed(a);
+        const compare = {
+            name: (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }),
+            mostUsed: (a, b) => (this.getUsage(b).openCount - this.getUsage(a).openCount) || compareRecent(a, b)
+        }[order] || compareRecent;
+
+        return tabSets.sort((a, b) =>
+            (favoritesFirst ? Number(b.isFavorite) - Number(a.isFavorite) : 0) || compare(a, b)
+        );
+    }
+
+    /**
+     * Get all tags in use: [{ tag, count }], sorted by tag
+     */
+    getAllTags() {
+        const counts = new Map();
+
+        this.getAllTabSets().forEach(tabSet => {
+            (tabSet.tags || []).forEach(tag => {
+                const existing = [...counts.keys()].find(key => key.toLowerCase() === tag.toLowerCase()) || tag;
+                counts.set(existing, (counts.get(existing) || 0) + 1);
+            });
+        });
+
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' }));
+    }
+
+    /**
+     * Get the store counting openings of a store's sets
+     *
+     * Shared sets are counted in the personal store, so opening them doesn't
+     * change the committed file.
+     */
+    getUsageStore(storeName) {
+        return this.stores.get(storeName === 'global' ? 'global' : 'personal');
+    }
+
+    /**
+     * Get how often a tab set was opened: { openCount, lastOpenedAt }
+     */
+    getUsage(tabSet) {
+        return this.getUsageStore(tabSet.store || this.getStoreName(tabSet.id)).getUsage(tabSet.id);
+    }
+
+    /**
+     * Count an opening of a tab set
+     */
+    recordOpen(id) {
+        const storeName = this.getStoreName(id);
+        const store = storeName ? this.getUsageStore(storeName) : null;
+
+        if (store && store.storageFile) {
+            store.recordOpen(id);
+        }
+    }
+
+    /**
+     * Get the store keeping the quick-switch slots
+     *
+     * Slots belong to the workspace, so they are personal. Windows without a
+     * folder keep theirs in the global store.
+     */
+    getSlotStore() {
+        const personal = this.stores.get('personal');
+        return personal.storageFile ? personal : this.stores.get('global');
+    }
+
+    /**
+     * Get the tab sets bound to quick-switch slots: a Map from slot number to set
+     *
+     * Slots of sets deleted elsewhere, e.g. by a git pull, count as empty.
+     */
+    getSlots() {
+        const slots = new Map();
+        const assigned = this.getSlotStore().getSlots();
+
+        Object.keys(assigned).forEach(slot => {
+            const tabSet = this.getTabSetById(assigned[slot]);
+            if (tabSet) {
+                slots.set(Number(slot), tabSet);
+            }
+        });
+
+        return slots;
+    }
+
+    /**
+     * Get the quick-switch slot of a tab set, or null
+     */
+    getSlot(id) {
+        const entry = [...this.getSlots()].find(([, tabSet]) => tabSet.id === id);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Bind a quick-switch slot to a tab set, or clear it with a null ID
+     */
+    assignSlot(slot, id) {
+        const store = this.getSlotStore();
+        return store.storageFile ? store.setSlot(slot, id) : false;
+    }
+
+    /**
+     * Set the tags of a tab set
+     *
+     * Returns the tags set, or null if the set doesn't exist.
+     */
+    setTags(id, tags) {
+        const store = this.findStore(id);
+        return store ? store.setTags(id, tags) : null;
     }
 
     /**
      * Update a tab set name
      */
     renameTabSet(id, newName) {
-        const data = this.readData();
-        const tabSet = data.tabSets.find(set => set.id === id);
-
-        if (tabSet) {
-            tabSet.name = newName;
-            tabSet.updatedAt = new Date().toISOString();
-            this.writeData(data);
-            return true;
+        const store = this.findStore(id);
+        return store ? store.renameTabSet(id, newName) : false;
+    }
+
+    /**
+     * Replace the tabs of a tab set, e.g. with the currently open tabs
+     */
+    updateTabSetTabs(id, tabs, options = {}) {
+        const store = this.findStore(id);
+        return store ? store.updateTabSetTabs(id, tabs, options) : null;
+    }
+
+    /**
+     * Add tabs to the end of a tab set, skipping files it already holds
+     *
+     * Returns the number of tabs added, or -1 if the set doesn't exist.
+     */
+    addTabs(id, tabs) {
+        const store = this.findStore(id);
+        return store ? store.addTabs(id, tabs) : -1;
+    }
+
+    /**
+     * Remove tabs from a tab set by their positions in its tab list
+     *
+     * Returns the number of tabs removed, or -1 if the set doesn't exist.
+     */
+    removeTabs(id, indexes) {
+        const store = this.findStore(id);
+        return store ? store.removeTabs(id, indexes) : -1;
+    }
+
+    /**
+     * Point tabs of a tab set at new files, by { index, uri } pairs
+     *
+     * Returns the number of tabs remapped, or -1 if the set doesn't exist.
+     */
+    remapTabs(id, remaps) {
+        const store = this.findStore(id);
+        return store ? store.remapTabs(id, remaps) : -1;
+    }
+
+    /**
+     * Follow files and folders renamed in the editor
+     *
+     * Only personal and global sets follow along: the shared file changes only
+     * when asked to, so shared sets are fixed with the repair command.
+     * Returns the number of tab sets updated.
+     */
+    renameFiles(renames) {
+        return ['personal', 'global']
+            .map(name => this.stores.get(name))
+            .filter(store => store.storageFile)
+            .reduce((count, store) => count + store.renameFiles(renames), 0);
+    }
+
+    /**
+     * Copy a tab set under a new name, into the given store or its own
+     *
+     * The copy keeps the original's updatedAt, as its tabs haven't changed.
+     * It starts out as a regular set: not a favorite and not auto saved.
+     * keepContent, as from unsavedContent.confirmStoreContent, picks the tabs
+     * whose unsaved content is copied.
+     */
+    duplicateTabSet(id, newName, storeName = null, keepContent = null) {
+        const original = this.getTabSetById(id);
+
+        if (!original) {
+            return null;
+        }
+
+        const copy = Object.assign({}, original, {
+            id: this.generateId(),
+            name: newName,
+            createdAt: new Date().toISOString(),
+            isFavorite: false
+        });
+        delete copy.isAutoSaved;
+        delete copy.store;
+
+        const store = this.resolveStore(storeName || original.store);
+        if (store.isGlobal) {
+            copy.branch = null;
+            copy.branches = null;
         }
 
-        return false;
+        const inserted = store.insertTabSet(copy, Object.assign(
+            this.getRelocation(this.stores.get(original.store), store), { keepContent }));
+        return this.annotate([inserted], this.getStoreName(inserted.id))[0];
     }
 
     /**
-     * Toggle favorite status
+     * Get the insertTabSet options for a set going from one store to another
+     *
+     * Only the global store keeps paths differently, so other moves keep them.
      */
-    toggleFavorite(id) {
-        const data = this.readData();
-        const tabSet = data.tabSets.find(set => set.id === id);
-
-        if (tabSet) {
-            tabSet.isFavorite = !tabSet.isFavorite;
-            tabSet.updatedAt = new Date().toISOString();
-
-            if (tabSet.isFavorite) {
-                if (!data.favorites.includes(id)) {
-                    data.favorites.push(id);
-                }
-            } else {
-                data.favorites = data.favorites.filter(fav => fav !== id);
-            }
+    getRelocation(source, target) {
+        return {
+            relocate: source.isGlobal !== target.isGlobal,
+            defaultFolderPath: source.workspaceFolder
+        };
+    }
+
+    /**
+     * Add a tab set from an export of this or another workspace
+     *
+     * Paths are remapped into the current workspace, or made home-relative for
+     * the global store. With replaceId, the set takes the place and ID of an
+     * existing one in the store. keepContent works as for duplicateTabSet.
+     */
+    importTabSet(tabSet, storeName, replaceId = null, keepContent = null) {
+        const store = this.resolveStore(storeName);
+        const imported = Object.assign({}, tabSet, { id: replaceId || this.generateId() });
+        delete imported.store;
+        delete imported.isAutoSaved;
+
+        if (store.isGlobal) {
+            imported.branch = null;
+            imported.branches = null;
+        }
 
-            this.writeData(data);
-            return tabSet.isFavorite;
+        if (replaceId) {
+            store.deleteTabSet(replaceId);
         }
 
-        return false;
+        const inserted = store.insertTabSet(imported, { relocate: true, defaultFolderPath: this.workspaceFolder, keepContent });
+        return this.annotate([inserted], this.getStoreName(inserted.id))[0];
+    }
+
+    /**
+     * Move a tab set to another store
+     *
+     * Returns the moved set, or null if it doesn't exist or is already there.
+     * keepContent works as for duplicateTabSet.
+     */
+    moveTabSetToStore(id, storeName, keepContent = null) {
+        const source = this.findStore(id);
+        const target = this.resolveStore(storeName);
+
+        if (!source || source === target) {
+            return null;
+        }
+
+        const tabSet = source.getTabSetById(id);
+        if (target.isGlobal) {
+            tabSet.branch = null;
+            tabSet.branches = null;
+        }
+
+        const moved = target.insertTabSet(tabSet, Object.assign(this.getRelocation(source, target), { keepContent }));
+        source.deleteTabSet(id);
+
+        return this.annotate([moved], this.getStoreName(moved.id))[0];
+    }
+
+    /**
+     * Move tabs within or between tab sets of the same store
+     *
+     * Returns false when nothing was moved, including for sets in different stores.
+     */
+    moveTabs(sources, targetSetId, targetIndex = null) {
+        const store = this.findStore(targetSetId);
+
+        if (!store || sources.some(source => this.findStore(source.setId) !== store)) {
+            return false;
+        }
+
+        return store.moveTabs(sources, targetSetId, targetIndex);
+    }
+
+    /**
+     * Toggle favorite status
+     */
+    toggleFavorite(id) {
+        const store = this.findStore(id);
+        return store ? store.toggleFavorite(id) : false;
     }
 
     /**
      * Delete a tab set
      */
     deleteTabSet(id) {
-        const data = this.readData();
-        const initialLength = data.tabSets.length;
+        const store = this.findStore(id);
+        const slot = this.getSlot(id);
 
-        data.tabSets = data.tabSets.filter(set => set.id !== id);
-        data.favorites = data.favorites.filter(fav => fav !== id);
+        if (slot !== null) {
+            this.assignSlot(slot, null);
+        }
+
+        return store ? store.deleteTabSet(id) : false;
+    }
 
-        if (data.tabSets.length < initialLength) {
-            this.writeData(data);
-            return true;
+    /**
+     * Delete automatically saved tab sets for a branch, except the one to keep
+     *
+     * Only personal sets are pruned: the shared file changes only when asked to.
+     */
+    pruneAutoSavedTabSets(branch, keepId, folderName = null) {
+        return this.stores.get('personal').pruneAutoSavedTabSets(branch, keepId, folderName);
+    }
+
+    /**
+     * Move tab sets from one branch to another
+     *
+     * Options: folderName (only that folder's branch changes), ids (only
+     * those sets) and stores, personal only by default so an automatic change
+     * never touches the shared file. Returns how many sets changed.
+     */
+    replaceBranch(fromBranch, toBranch, options = {}) {
+        return (options.stores || ['personal'])
+            .map(name => this.stores.get(name))
+            .filter(store => store && store.storageFile && !store.isGlobal)
+            .reduce((count, store) =>
+                count + store.replaceBranch(fromBranch, toBranch, options.folderName || null, options.ids || null), 0);
+    }
+
+    /**
+     * Copy another branch's tab set as a personal set for a new branch
+     *
+     * The copy's name gets the new branch in place of the old one. Returns
+     * the copy, or null if the set is gone.
+     */
+    inheritTabSet(id, fromBranch, toBranch, folderName = null) {
+        const original = this.getTabSetById(id);
+
+        if (!original) {
+            return null;
         }
 
-        return false;
+        const name = original.name.includes(fromBranch)
+            ? original.name.split(fromBranch).join(toBranch)
+            : `${original.name} (${toBranch})`;
+        const copy = this.duplicateTabSet(id, name, 'personal');
+
+        this.replaceBranch(fromBranch, toBranch, { folderName, ids: [copy.id] });
+        return this.getTabSetById(copy.id);
     }
 
     /**
-     * Get the most recent tab set for a branch
+     * Get the most recent tab set for a branch, optionally of one workspace folder
      */
-    getLatestTabSetForBranch(branch) {
-        const sets = this.getTabSetsByBranch(branch);
+    getLatestTabSetForBranch(branch, folderName = null) {
+        const sets = this.getTabSetsByBranch(branch, folderName);
         if (sets.length === 0) return null;
 
-        // Sort by updatedAt descending
-        sets.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        // Sort by updatedAt descending, newest copy first on a tie
+        sets.sort((a, b) =>
+            (new Date(b.updatedAt) - new Date(a.updatedAt)) ||
+            (new Date(b.createdAt) - new Date(a.createdAt))
+        );
         return sets[0];
     }
+
+    /**
+     * Load changes made to the tab sets files outside this window
+     */
+    reload() {
+        return Promise.all([...this.stores.values()].map(store => store.reload()));
+    }
+
+    /**
+     * Wait until all changes so far have been written
+     */
+    flush() {
+        return Promise.all([...this.stores.values()].map(store => store.flush()));
+    }
+
+    /**
+     * Stop watching the tab sets files
+     */
+    dispose() {
+        this.stores.forEach(store => store.dispose());
+    }
 }
 
 module.exports = new TabStorage();
@@ -0,0 +1,163 @@
+import { Event, Uri } from 'vscode';
+
+/**
+ * Types of the API Tab Hero returns from activate:
+ *
+ *     const tabHero: TabHeroApi = await vscode.extensions.getExtension('devtanc.tab-hero').activate();
+ */
+
+export type StoreName = 'personal' | 'shared' | 'global';
+
+export type RestoreMode = 'merge' | 'replace' | 'newGroup' | 'preview';
+
+/** Where a saved file is, relative to its workspace folder or the home folder when it can be */
+export interface StoredLocation {
+    /** Name of the workspace folder, for files inside one */
+    workspaceFolder: string | null;
+    /** Forward-slash path relative to workspaceFolder */
+    relativePath: string | null;
+    /** "~/..." path, for files in the home folder in the global store */
+    homePath?: string;
+    /** Absolute URI, for files that have no relative location */
+    uri?: string;
+}
+
+/** Zero-based line and character */
+export interface StoredPosition {
+    line: number;
+    character: number;
+}
+
+export interface StoredSelection {
+    anchor: StoredPosition;
+    active: StoredPosition;
+}
+
+/** A saved tab */
+export interface StoredTab extends StoredLocation {
+    kind: 'text' | 'diff' | 'notebook' | 'notebookDiff' | 'custom';
+    fileName: string;
+    /** The notebook type or custom editor view type for other kinds, "unknown" when not loaded */
+    languageId: string;
+    viewColumn: number | null;
+    index: number | null;
+    isPinned: boolean;
+    isActive: boolean;
+    /** Cursors and selections, for text files viewed before saving */
+    selections: StoredSelection[] | null;
+    /** First and last visible positions */
+    visibleRange: { start: StoredPosition; end: StoredPosition } | null;
+    /** Zero-based lines of folded region headers */
+    foldedLines: number[];
+    /** Left side of a diff or notebook diff */
+    original?: StoredLocation;
+    /** Tab title, for tabs that aren't plain text editors */
+    label?: string;
+    notebookType?: string;
+    /** Custom editor */
+    viewType?: string;
+    /** Text of an untitled editor or of unsaved changes, per tabHero.save.unsavedContent */
+    content?: string;
+}
+
+/** A split layout, as vscode.getEditorLayout returns it */
+export interface EditorLayout {
+    /** 0 for horizontal, 1 for vertical */
+    orientation: 0 | 1;
+    groups: EditorGroupLayout[];
+}
+
+export interface EditorGroupLayout {
+    size?: number;
+    groups?: EditorGroupLayout[];
+}
+
+export interface TabSet {
+    id: string;
+    name: string;
+    store: StoreName;
+    /** Branch the set was saved on, the first folder's in a multi-root workspace */
+    branch: string | null;
+    /** Branch of each workspace folder, by folder name */
+    branches: { [folderName: string]: string } | null;
+    tabs: StoredTab[];
+    /** Editor group that had focus */
+    activeViewColumn: number | null;
+    layout: EditorLayout | null;
+    tags?: string[];
+    isFavorite: boolean;
+    isAutoSaved?: boolean;
+    /** ISO 8601 timestamps */
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface TabSetQuery {
+    /** Matches names, tags, branches and file paths */
+    text?: string;
+    tags?: string[];
+    branch?: string;
+    /** A file the set contains, or part of a path */
+    file?: Uri | string;
+    favorite?: boolean;
+    store?: StoreName;
+    sort?: 'recent' | 'name' | 'mostUsed';
+    favoritesFirst?: boolean;
+}
+
+export interface SaveTabSetOptions {
+    /** Defaults to the tabHero.save.nameTemplate name */
+    name?: string;
+    /** URIs, absolute paths or paths relative to the workspace; the open tabs when left out */
+    files?: Array<Uri | string>;
+    /** Defaults to the tabHero.defaultStore setting */
+    store?: StoreName;
+    favorite?: boolean;
+}
+
+export interface RestoreOptions {
+    /**
+     * Defaults to the tabHero.restoreMode setting, merging when that is
+     * "preview". "preview" asks for files, so it is rejected here.
+     */
+    mode?: Exclude<RestoreMode, 'preview'>;
+}
+
+export interface RestoreResult {
+    openedCount: number;
+    failedCount: number;
+    skippedCount: number;
+    /** Tabs left closed by the tabHero.restore.maxTabs setting */
+    limitedCount: number;
+    closedCount: number;
+    cancelled: boolean;
+}
+
+export interface TabSetsChangeEvent {
+    store: StoreName;
+    /** Whether the change came from outside this window, e.g. a git pull */
+    external: boolean;
+}
+
+export interface TabHeroApi {
+    readonly version: 1;
+
+    readonly onDidChangeTabSets: Event<TabSetsChangeEvent>;
+
+    getTabSets(query?: TabSetQuery): TabSet[];
+
+    /** Finds a set by ID, or else by name, the most recent one if several share it */
+    getTabSet(idOrName: string): TabSet | null;
+
+    /** Rejects when there are no files to save or the store isn't available, e.g. "shared" without a folder */
+    saveTabSet(options?: SaveTabSetOptions): Promise<TabSet>;
+
+    /**
+     * Rejects when no set matches. Never prompts: replacing keeps editors
+     * with unsaved changes open.
+     */
+    restoreTabSet(idOrName: string, options?: RestoreOptions): Promise<RestoreResult>;
+
+    /** Returns false when no set matches */
+    deleteTabSet(idOrName: string): boolean;
+}
@@ -0,0 +1,61 @@
+const storage = require('./storage');
+const restoreService = require('./restore-service');
+
+// Bumped on breaking changes, so other extensions can check what they got
+const API_VERSION = 1;
+
+/**
+ * Create the API returned from activate, for other extensions:
+ *
+ *     const tabHero = await vscode.extensions.getExtension('devtanc.tab-hero').activate();
+ *     await tabHero.restoreTabSet('Review', { mode: 'replace' });
+ *
+ * Nothing here prompts the user: restores keep unsaved editors open when
+ * replacing, and reject the preview mode. saveTabSet is the extension's
+ * saveTabSetWithOptions, which keeps unsaved content only when
+ * tabHero.save.unsavedContent is "always". The types are in tab-hero-api.d.ts.
+ */
+function createApi(saveTabSet) {
+    const findTabSet = idOrName => {
+        const tabSet = storage.findTabSet(idOrName);
+
+        if (!tabSet) {
+            throw new Error(`No tab set found for "${idOrName}"`);
+        }
+
+        return tabSet;
+    };
+
+    return Object.freeze({
+        version: API_VERSION,
+
+        // Fires with { store, external } when a store's tab sets change
+        onDidChangeTabSets: storage.onDidChange,
+
+        getTabSets(query = {}) {
+            return storage.queryTabSets(query);
+        },
+
+        getTabSet(idOrName) {
+            return storage.findTabSet(idOrName) || null;
+        },
+
+        saveTabSet(options = {}) {
+            return saveTabSet(options);
+        },
+
+        async restoreTabSet(idOrName, options = {}) {
+            return restoreService.restore(findTabSet(idOrName), { mode: options.mode, interactive: false });
+        },
+
+        deleteTabSet(idOrName) {
+            const tabSet = storage.findTabSet(idOrName);
+            return tabSet ? storage.deleteTabSet(tabSet.id) : false;
+        }
+    });
+}
+
+module.exports = {
+    API_VERSION,
+    createApi
+};
@@ -0,0 +1,92 @@
+const vscode = require('vscode');
+
+/**
+ * Helpers for the kinds of tab input Tab Hero can save and restore
+ *
+ * Kinds: "text", "diff" (TabInputTextDiff), "notebook", "notebookDiff" and
+ * "custom" (custom editors such as image previews).
+ */
+
+/**
+ * Describe a tab's input, or return null for inputs that can't be restored
+ *
+ * The uri is the file the tab is about: the modified side of a diff.
+ */
+function describeTabInput(input) {
+    if (input instanceof vscode.TabInputText) {
+        return { kind: 'text', uri: input.uri };
+    }
+
+    if (input instanceof vscode.TabInputTextDiff) {
+        return { kind: 'diff', uri: input.modified, original: input.original };
+    }
+
+    if (input instanceof vscode.TabInputNotebook) {
+        return { kind: 'notebook', uri: input.uri, notebookType: input.notebookType };
+    }
+
+    if (input instanceof vscode.TabInputNotebookDiff) {
+        return { kind: 'notebookDiff', uri: input.modified, original: input.original, notebookType: input.notebookType };
+    }
+
+    if (input instanceof vscode.TabInputCustom) {
+        return { kind: 'custom', uri: input.uri, viewType: input.viewType };
+    }
+
+    return null;
+}
+
+/**
+ * Get a key identifying an editor: its kind and the file it shows
+ */
+function getEditorKey(kind, uri) {
+    return `${kind || 'text'}:${uri.toString()}`;
+}
+
+/**
+ * Check whether a kind of tab is a text document that can be opened as one
+ */
+function isTextKind(kind) {
+    return !kind || kind === 'text' || kind === 'diff';
+}
+
+/**
+ * Open a tab of any kind in a view column
+ *
+ * Returns the text editor for text tabs, so cursor state can be reapplied.
+ */
+async function showTab(tab, uri, originalUri, viewColumn) {
+    const options = { viewColumn, preview: false };
+
+    switch (tab.kind) {
+        case 'diff':
+        case 'notebookDiff':
+            if (!originalUri) {
+                throw new Error(`Cannot resolve the original side of ${tab.fileName}`);
+            }
+            await vscode.commands.executeCommand('vscode.diff', originalUri, uri, tab.label || tab.fileName, options);
+            return null;
+
+        case 'notebook': {
+            const notebook = await vscode.workspace.openNotebookDocument(uri);
+            await vscode.window.showNotebookDocument(notebook, options);
+            return null;
+        }
+
+        case 'custom':
+            await vscode.commands.executeCommand('vscode.openWith', uri, tab.viewType, options);
+            return null;
+
+        default: {
+            const doc = await vscode.workspace.openTextDocument(uri);
+            return vscode.window.showTextDocument(doc, options);
+        }
+    }
+}
+
+module.exports = {
+    describeTabInput,
+    getEditorKey,
+    isTextKind,
+    showTab
+};
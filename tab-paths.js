@@ -0,0 +1,268 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Helpers for storing tab locations relative to their workspace folder,
+ * so a shared tab-hero.json resolves against each teammate's checkout.
+ * The global library stores them relative to the home folder instead.
+ */
+
+/**
+ * Get the portable location of a URI
+ *
+ * Files inside a workspace folder are stored as the folder name plus a
+ * forward-slash path relative to it. Anything else keeps its absolute URI.
+ */
+function toStoredLocation(uri) {
+    const folder = uri.scheme === 'file' ? vscode.workspace.getWorkspaceFolder(uri) : undefined;
+
+    if (!folder) {
+        return { uri: uri.toString(), workspaceFolder: null, relativePath: null };
+    }
+
+    return {
+        workspaceFolder: folder.name,
+        relativePath: path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/')
+    };
+}
+
+/**
+ * Get the location of a URI for the global library
+ *
+ * Files in the home folder are stored as "~/" plus a forward-slash path, so
+ * the library works across machines and user names. Anything else keeps its
+ * absolute URI.
+ */
+function toGlobalLocation(uri) {
+    const home = os.homedir();
+    const relative = uri.scheme === 'file' ? path.relative(home, uri.fsPath) : null;
+
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        return { uri: uri.toString(), workspaceFolder: null, relativePath: null };
+    }
+
+    return { homePath: `~/${relative.split(path.sep).join('/')}`, workspaceFolder: null, relativePath: null };
+}
+
+/**
+ * Find the local folder for a stored tab
+ *
+ * Folder names can differ between machines (they default to the checkout's
+ * directory name), so fall back to a folder that has the file, then to the
+ * folder holding tab-hero.json.
+ */
+function findFolderUri(folderName, defaultFolderPath, relativePath = null) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const folder = folders.find(f => f.name === folderName) ||
+        (relativePath && folders.find(f => f.uri.scheme === 'file' &&
+            fs.existsSync(path.join(f.uri.fsPath, ...relativePath.split('/')))));
+
+    if (folder) {
+        return folder.uri;
+    }
+
+    if (defaultFolderPath) {
+        return vscode.Uri.file(defaultFolderPath);
+    }
+
+    return folders.length > 0 ? folders[0].uri : null;
+}
+
+/**
+ * Convert a tab saved with an absolute file URI to a portable location
+ *
+ * URIs inside a workspace folder are made relative to it. URIs from another
+ * machine are matched by the longest trailing part of their path, with at
+ * least one folder in it, that exists in a local workspace folder, trying the
+ * folder holding tab-hero.json first. This checks the disk, so stores run it
+ * once when loading. Returns null when the tab can't be converted.
+ */
+function migrateTabLocation(tab, defaultFolderPath) {
+    if (!tab.uri) {
+        return null;
+    }
+
+    const uri = vscode.Uri.parse(tab.uri);
+    if (uri.scheme !== 'file') {
+        return null;
+    }
+
+    if (vscode.workspace.getWorkspaceFolder(uri)) {
+        return toStoredLocation(uri);
+    }
+
+    if (fs.existsSync(uri.fsPath)) {
+        return null; // A real file outside the workspace
+    }
+
+    const folders = (vscode.workspace.workspaceFolders || []).map(folder => ({
+        name: folder.name,
+        fsPath: folder.uri.fsPath
+    }));
+
+    // Try the folder holding tab-hero.json first
+    folders.sort((a, b) => (b.fsPath === defaultFolderPath) - (a.fsPath === defaultFolderPath));
+
+    const segments = uri.path.split('/').filter(Boolean);
+
+    // A bare file name, like index.js, would match too many files to be trusted
+    for (const folder of folders) {
+        for (let start = 1; start < segments.length - 1; start++) {
+            const candidate = segments.slice(start).join('/');
+
+            if (fs.existsSync(path.join(folder.fsPath, ...candidate.split('/')))) {
+                return { workspaceFolder: folder.name, relativePath: candidate };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a stored tab to a URI in the local workspace
+ *
+ * Absolute URIs are used as they are: the stores already converted the ones
+ * they could when loading.
+ */
+function resolveTabUri(tab, defaultFolderPath) {
+    if (tab.homePath) {
+        return vscode.Uri.file(path.join(os.homedir(), ...tab.homePath.replace(/^~\//, '').split('/')));
+    }
+
+    if (tab.relativePath && !tab.uri) {
+        const folderUri = findFolderUri(tab.workspaceFolder, defaultFolderPath, tab.relativePath);
+        return folderUri ? vscode.Uri.joinPath(folderUri, ...tab.relativePath.split('/')) : null;
+    }
+
+    return tab.uri ? vscode.Uri.parse(tab.uri) : null;
+}
+
+/**
+ * Get the new URI of a file after renames, or null if it wasn't renamed
+ *
+ * Renames are { oldUri, newUri } pairs of files or folders, as reported by
+ * workspace.onDidRenameFiles.
+ */
+function getRenamedUri(uri, renames) {
+    for (const { oldUri, newUri } of renames) {
+        if (uri.toString() === oldUri.toString()) {
+            return newUri;
+        }
+
+        const folderPath = oldUri.path.replace(/\/$/, '') + '/';
+        if (uri.scheme === oldUri.scheme && uri.authority === oldUri.authority && uri.path.startsWith(folderPath)) {
+            return vscode.Uri.joinPath(newUri, ...uri.path.slice(folderPath.length).split('/'));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Describe where a stored tab's file is, for display
+ */
+function describeTabLocation(tab, uri) {
+    return tab.relativePath || tab.homePath || (uri ? uri.fsPath : '');
+}
+
+/**
+ * Get the name of the workspace folder a stored or open tab belongs to
+ */
+function getTabFolderName(tab) {
+    if (tab.workspaceFolder) {
+        return tab.workspaceFolder;
+    }
+
+    if (!tab.uri) {
+        return null; // Includes home-relative tabs of the global library
+    }
+
+    const uri = typeof tab.uri === 'string' ? vscode.Uri.parse(tab.uri) : tab.uri;
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    return folder ? folder.name : null;
+}
+
+/**
+ * Get the forward-slash path globs are matched against: the path within the
+ * file's own workspace folder, without the folder name even in a multi-root
+ * workspace, or the full path for files outside the workspace
+ */
+function getPathInFolder(uri) {
+    return toStoredLocation(uri).relativePath || uri.path;
+}
+
+/**
+ * Turn a glob like "dist/**" or "*.min.js" into a regular expression
+ *
+ * Supports **, *, ?, {a,b} and [abc], the way files.exclude does.
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (glob.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (glob.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+            braceDepth++;
+        } else if (char === '}' && braceDepth > 0) {
+            source += ')';
+            braceDepth--;
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^$(){}|\\\]]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a forward-slash path matches any of the given globs
+ */
+function matchesAnyGlob(filePath, globs) {
+    return globs.some(glob => {
+        try {
+            return globToRegExp(glob).test(filePath);
+        } catch (error) {
+            console.error(`Invalid glob pattern ${glob}:`, error.message);
+            return false;
+        }
+    });
+}
+
+module.exports = {
+    toStoredLocation,
+    toGlobalLocation,
+    describeTabLocation,
+    getRenamedUri,
+    getPathInFolder,
+    getTabFolderName,
+    globToRegExp,
+    matchesAnyGlob,
+    migrateTabLocation,
+    resolveTabUri
+};
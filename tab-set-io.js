@@ -0,0 +1,136 @@
+const path = require('path');
+const tabPaths = require('./tab-paths');
+
+/**
+ * Helpers for exporting tab sets to standalone JSON bundles and Markdown,
+ * and reading them back
+ */
+
+// Marks a JSON file as a Tab Hero export, with the version of its layout
+const BUNDLE_FORMAT = 'tab-hero-tab-sets';
+const BUNDLE_VERSION = 1;
+
+// Names of non-text editors in Markdown lists
+const KIND_LABELS = {
+    diff: 'diff',
+    notebook: 'notebook',
+    notebookDiff: 'notebook diff',
+    custom: 'custom editor'
+};
+
+/**
+ * Create a JSON bundle of tab sets
+ *
+ * Sets are exported as stored, without the store they came from or the
+ * auto saved flag, so tabs keep their workspace-relative paths. The content
+ * of unsaved editors is left out unless includeContent is set.
+ */
+function createBundle(tabSets, includeContent = false) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        tabSets: tabSets.map(tabSet => {
+            const exported = JSON.parse(JSON.stringify(tabSet));
+            delete exported.store;
+            delete exported.isAutoSaved;
+            if (!includeContent) {
+                exported.tabs.forEach(tab => delete tab.content);
+            }
+            return exported;
+        })
+    };
+}
+
+/**
+ * Read the tab sets of a JSON bundle
+ *
+ * Also accepts a tab-hero.json storage file. Throws when the content isn't
+ * either, or comes from a newer version of Tab Hero.
+ */
+function parseBundle(content) {
+    let data;
+
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Not a JSON file (${error.message})`);
+    }
+
+    if (!data || typeof data !== 'object' || !Array.isArray(data.tabSets)) {
+        throw new Error('Not a Tab Hero export: no tab sets found');
+    }
+
+    if (data.format === BUNDLE_FORMAT && data.version > BUNDLE_VERSION) {
+        throw new Error('Exported by a newer version of Tab Hero. Update the extension to import it.');
+    }
+
+    return data.tabSets
+        .filter(tabSet => tabSet && typeof tabSet === 'object' && typeof tabSet.name === 'string')
+        .map(tabSet => Object.assign({}, tabSet, {
+            tabs: (Array.isArray(tabSet.tabs) ? tabSet.tabs : [])
+                .filter(tab => tab && typeof tab === 'object')
+                .map(tab => Object.assign({ kind: 'text' }, tab)),
+            isFavorite: !!tabSet.isFavorite
+        }));
+}
+
+/**
+ * Escape text for use in a Markdown link label or heading
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>#])/g, '\\$1');
+}
+
+/**
+ * Get a Markdown link target for a workspace file, relative to the Markdown
+ * file, or the absolute URI of any other file
+ */
+function toLinkTarget(tab, uri, markdownFile) {
+    if (uri.scheme !== 'file' || !tab.relativePath || tab.uri) {
+        return uri.toString();
+    }
+
+    const relative = path.relative(path.dirname(markdownFile), uri.fsPath).split(path.sep).join('/');
+    return encodeURI(relative).replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Render tab sets as Markdown, one section per set with a link per file
+ *
+ * Links to workspace files are relative to the Markdown file, so they work in
+ * a PR description or a doc committed next to the code.
+ */
+function toMarkdown(tabSets, markdownFile, defaultFolderPath) {
+    const lines = ['# Tab Sets', ''];
+
+    tabSets.forEach(tabSet => {
+        const tabCount = tabSet.tabs.length;
+        const details = [`${tabCount} tab${tabCount !== 1 ? 's' : ''}`];
+        if (tabSet.branch) {
+            details.unshift(`Branch: \`${tabSet.branch}\``);
+        }
+
+        lines.push(`## ${escapeMarkdown(tabSet.name)}`, '', details.join(' · '), '');
+
+        tabSet.tabs.forEach(tab => {
+            const uri = tabPaths.resolveTabUri(tab, defaultFolderPath);
+            const label = escapeMarkdown(tabPaths.describeTabLocation(tab, uri) || tab.fileName);
+            const kind = KIND_LABELS[tab.kind] ? ` (${KIND_LABELS[tab.kind]})` : '';
+
+            lines.push(uri
+                ? `- [${label}](${toLinkTarget(tab, uri, markdownFile)})${kind}`
+                : `- ${label}${kind}`);
+        });
+
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    createBundle,
+    parseBundle,
+    toMarkdown
+};
@@ -0,0 +1,165 @@
+const vscode = require('vscode');
+const storage = require('./storage');
+
+// Sort orders offered as buttons, in the order they are shown
+const SORT_ORDERS = [
+    { order: 'recent', label: 'Recent', icon: 'history' },
+    { order: 'name', label: 'Name', icon: 'case-sensitive' },
+    { order: 'mostUsed', label: 'Most Used', icon: 'flame' }
+];
+
+const SORT_ORDER_KEY = 'tabHero.sortOrder';
+
+/**
+ * Searchable tab set picker, used wherever a single set is picked
+ *
+ * Typed text narrows the list through storage.queryTabSets. Besides free text,
+ * it understands "#tag", "branch:name" and "file:path". Buttons switch the
+ * sort order, which is remembered, and filter by one of the tags in use.
+ */
+class TabSetPicker {
+    constructor(formatTabSet, memento) {
+        this.formatTabSet = formatTabSet;
+        this.memento = memento;
+    }
+
+    /**
+     * Get the remembered sort order
+     */
+    getSortOrder() {
+        const order = this.memento.get(SORT_ORDER_KEY, 'recent');
+        return SORT_ORDERS.some(sort => sort.order === order) ? order : 'recent';
+    }
+
+    /**
+     * Turn typed text into a query for storage.queryTabSets
+     */
+    parseQuery(value) {
+        const query = { tags: [], text: '' };
+        const words = [];
+
+        value.split(/\s+/).filter(Boolean).forEach(word => {
+            const match = /^(branch|file):(.+)$/i.exec(word);
+
+            if (word.startsWith('#') && word.length > 1) {
+                query.tags.push(word.slice(1));
+            } else if (match) {
+                query[match[1].toLowerCase()] = match[2];
+            } else {
+                words.push(word);
+            }
+        });
+
+        query.text = words.join(' ');
+        return query;
+    }
+
+    /**
+     * Let the user pick a tab set
+     *
+     * Options: placeHolder, title, value (initial filter text) and query,
+     * criteria that always apply, e.g. { file: uri }. Resolves to the set
+     * picked, or null if the user cancelled.
+     */
+    pick(options = {}) {
+        const quickPick = vscode.window.createQuickPick();
+        const baseTitle = options.title || 'Tab Sets';
+        const tagButton = { iconPath: new vscode.ThemeIcon('tag'), tooltip: 'Filter by Tag' };
+        let sortOrder = this.getSortOrder();
+        let choosingTag = false;
+        let filterBeforeTag = '';
+
+        quickPick.placeholder = `${options.placeHolder || 'Select a tab set'} (filter with #tag, branch:name or file:path)`;
+        quickPick.value = options.value || '';
+        quickPick.matchOnDescription = true;
+        quickPick.buttons = SORT_ORDERS.map(sort => ({
+            iconPath: new vscode.ThemeIcon(sort.icon),
+            tooltip: `Sort by ${sort.label}`,
+            order: sort.order
+        })).concat([tagButton]);
+
+        const showTabSets = () => {
+            const sort = SORT_ORDERS.find(item => item.order === sortOrder);
+            const query = Object.assign(this.parseQuery(quickPick.value), options.query, {
+                sort: sortOrder,
+                favoritesFirst: true
+            });
+
+            quickPick.title = `${baseTitle} (sorted by ${sort.label.toLowerCase()})`;
+            quickPick.items = storage.queryTabSets(query).map(tabSet =>
+                Object.assign(this.formatTabSet(tabSet), { alwaysShow: true })
+            );
+        };
+
+        const showTags = () => {
+            const tags = storage.getAllTags();
+
+            quickPick.title = `${baseTitle}: filter by tag`;
+            quickPick.items = tags.length > 0
+                ? tags.map(({ tag, count }) => ({
+                    label: `#${tag}`,
+                    description: `${count} set${count !== 1 ? 's' : ''}`,
+                    tag: tag
+                }))
+                : [{ label: 'No tags yet', description: 'Add some with "Edit Tags"', alwaysShow: true }];
+        };
+
+        return new Promise(resolve => {
+            let picked = null;
+
+            quickPick.onDidChangeValue(() => {
+                if (!choosingTag) {
+                    showTabSets();
+                }
+            });
+
+            quickPick.onDidTriggerButton(button => {
+                if (button === tagButton) {
+                    // Typing now filters the tags
+                    filterBeforeTag = choosingTag ? filterBeforeTag : quickPick.value;
+                    choosingTag = true;
+                    quickPick.value = '';
+                    showTags();
+                    return;
+                }
+
+                sortOrder = button.order;
+                this.memento.update(SORT_ORDER_KEY, sortOrder);
+
+                if (choosingTag) {
+                    choosingTag = false;
+                    quickPick.value = filterBeforeTag;
+                }
+                showTabSets();
+            });
+
+            quickPick.onDidAccept(() => {
+                const item = quickPick.selectedItems[0] || quickPick.activeItems[0];
+
+                if (choosingTag) {
+                    choosingTag = false;
+                    quickPick.value = item && item.tag
+                        ? [filterBeforeTag.trim(), `#${item.tag}`].filter(Boolean).join(' ') + ' '
+                        : filterBeforeTag;
+                    showTabSets();
+                    return;
+                }
+
+                if (item && item.tabSet) {
+                    picked = item.tabSet;
+                    quickPick.hide();
+                }
+            });
+
+            quickPick.onDidHide(() => {
+                quickPick.dispose();
+                resolve(picked);
+            });
+
+            showTabSets();
+            quickPick.show();
+        });
+    }
+}
+
+module.exports = TabSetPicker;
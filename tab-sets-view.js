@@ -0,0 +1,206 @@
+const vscode = require('vscode');
+const storage = require('./storage');
+const tabPaths = require('./tab-paths');
+
+const TAB_MIME_TYPE = 'application/vnd.code.tree.tabherotabsets';
+
+// Icons of sets that aren't personal
+const STORE_ICONS = {
+    shared: 'organization',
+    global: 'globe'
+};
+
+/**
+ * Tree data provider for the Tab Hero view
+ *
+ * Lists tab sets grouped by Favorites, by branch, Other and Global. Each set expands
+ * to its files, which can be dragged to reorder them or move them between sets.
+ */
+class TabSetTreeProvider {
+    constructor(formatTabSet, getWorkspacePath, confirmEdit) {
+        this.formatTabSet = formatTabSet;
+        this.getWorkspacePath = getWorkspacePath;
+        this.confirmEdit = confirmEdit;
+
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+
+        // Follow every change to the tab sets, including edits from another
+        // window or a git pull
+        this.storageSubscription = storage.onDidChange(() => this.refresh());
+
+        this.dragMimeTypes = [TAB_MIME_TYPE];
+        this.dropMimeTypes = [TAB_MIME_TYPE];
+    }
+
+    /**
+     * Refresh the whole tree
+     */
+    refresh() {
+        this.changeEmitter.fire();
+    }
+
+    getTreeItem(node) {
+        if (node.type === 'group') {
+            const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.Expanded);
+            item.id = `group:${node.key}`;
+            item.iconPath = new vscode.ThemeIcon(node.icon);
+            item.description = `${node.tabSets.length}`;
+            item.contextValue = 'tabSetGroup';
+            return item;
+        }
+
+        if (node.type === 'tabSet') {
+            const quickPickItem = this.formatTabSet(node.tabSet);
+            const item = new vscode.TreeItem(node.tabSet.name, vscode.TreeItemCollapsibleState.Collapsed);
+            item.id = `set:${node.tabSet.id}`;
+            item.description = quickPickItem.description;
+            item.tooltip = `${quickPickItem.label}\n${quickPickItem.detail}`;
+            item.iconPath = new vscode.ThemeIcon(node.tabSet.isFavorite ? 'star-full'
+                : STORE_ICONS[node.tabSet.store] || 'files');
+            item.contextValue = ['tabSet']
+                .concat(node.tabSet.isFavorite ? ['favorite'] : [])
+                .concat(node.tabSet.store !== 'personal' ? [node.tabSet.store] : [])
+                .join('.');
+            return item;
+        }
+
+        const uri = tabPaths.resolveTabUri(node.tab, this.getWorkspacePath());
+        const hasContent = typeof node.tab.content === 'string';
+        const item = new vscode.TreeItem(node.tab.fileName, vscode.TreeItemCollapsibleState.None);
+        item.id = `tab:${node.tabSet.id}:${node.index}`;
+        item.description = [tabPaths.describeTabLocation(node.tab, uri), hasContent ? 'unsaved content' : '']
+            .filter(Boolean)
+            .join(' • ');
+        item.contextValue = 'tabSetFile';
+
+        if (node.tab.kind && node.tab.kind !== 'text') {
+            item.tooltip = node.tab.label || node.tab.fileName;
+        }
+
+        if (uri) {
+            item.resourceUri = uri;
+            item.iconPath = node.tab.kind === 'diff' || node.tab.kind === 'notebookDiff'
+                ? new vscode.ThemeIcon('diff')
+                : vscode.ThemeIcon.File;
+
+            // An untitled buffer's content only comes back with the set
+            if (!(hasContent && uri.scheme === 'untitled')) {
+                item.command = {
+                    command: 'vscode.open',
+                    title: 'Open File',
+                    arguments: [uri, { preview: true }]
+                };
+            }
+        }
+
+        return item;
+    }
+
+    getChildren(node) {
+        if (!node) {
+            return this.getGroups();
+        }
+
+        if (node.type === 'group') {
+            return node.tabSets.map(tabSet => ({ type: 'tabSet', tabSet }));
+        }
+
+        if (node.type === 'tabSet') {
+            return node.tabSet.tabs.map((tab, index) => ({ type: 'tab', tabSet: node.tabSet, tab, index }));
+        }
+
+        return [];
+    }
+
+    /**
+     * Group tab sets into Favorites, one group per branch, Other and Global
+     */
+    getGroups() {
+        const tabSets = storage.getAllTabSets()
+            .slice()
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        const favorites = tabSets.filter(set => set.isFavorite);
+        const globals = tabSets.filter(set => !set.isFavorite && set.store === 'global');
+        const others = tabSets.filter(set => !set.isFavorite && !set.branch && set.store !== 'global');
+        const branchGroups = new Map();
+
+        tabSets
+            .filter(set => !set.isFavorite && set.branch)
+            .forEach(set => {
+                if (!branchGroups.has(set.branch)) {
+                    branchGroups.set(set.branch, []);
+                }
+                branchGroups.get(set.branch).push(set);
+            });
+
+        const groups = [];
+
+        if (favorites.length > 0) {
+            groups.push({ type: 'group', key: 'favorites', label: 'Favorites', icon: 'star-full', tabSets: favorites });
+        }
+
+        [...branchGroups.keys()].sort().forEach(branch => {
+            groups.push({ type: 'group', key: `branch:${branch}`, label: branch, icon: 'git-branch', tabSets: branchGroups.get(branch) });
+        });
+
+        if (others.length > 0) {
+            groups.push({ type: 'group', key: 'other', label: 'Other', icon: 'folder', tabSets: others });
+        }
+
+        if (globals.length > 0) {
+            groups.push({ type: 'group', key: 'global', label: 'Global', icon: 'globe', tabSets: globals });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Only files can be dragged
+     */
+    handleDrag(nodes, dataTransfer) {
+        const tabs = nodes
+            .filter(node => node.type === 'tab')
+            .map(node => ({ setId: node.tabSet.id, index: node.index }));
+
+        if (tabs.length > 0) {
+            dataTransfer.set(TAB_MIME_TYPE, new vscode.DataTransferItem(tabs));
+        }
+    }
+
+    /**
+     * Dropping on a set appends the files, dropping on a file inserts them before it
+     */
+    async handleDrop(target, dataTransfer) {
+        const transferItem = dataTransfer.get(TAB_MIME_TYPE);
+        if (!transferItem || !target || target.type === 'group') {
+            return;
+        }
+
+        const tabs = transferItem.value;
+        const targetIndex = target.type === 'tab' ? target.index : null;
+        const storeName = storage.getStoreName(target.tabSet.id);
+
+        if (tabs.some(tab => storage.getStoreName(tab.setId) !== storeName)) {
+            vscode.window.showInformationMessage(
+                'Files can only be moved between tab sets of the same store. Move the tab set to the other store first.'
+            );
+            return;
+        }
+
+        // All sets involved are in one store, so one answer covers them
+        if (!await this.confirmEdit(storage.getTabSetById(target.tabSet.id))) {
+            return;
+        }
+
+        storage.moveTabs(tabs, target.tabSet.id, targetIndex);
+    }
+
+    dispose() {
+        this.storageSubscription.dispose();
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = TabSetTreeProvider;
@@ -0,0 +1,1411 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const tabPaths = require('./tab-paths');
+
+// Version of the tab-hero.json schema written by this extension
+const STORAGE_VERSION = 2;
+
+/**
+ * Schema migrations, applied in order to files older than their version.
+ * Files written before versioning count as version 1.
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        // Tabs record their kind since diff, notebook and custom editors can be saved
+        migrate(data) {
+            data.tabSets.forEach(tabSet => {
+                (tabSet.tabs || []).forEach(tab => {
+                    if (!tab.kind) {
+                        tab.kind = 'text';
+                    }
+                });
+            });
+        }
+    }
+];
+
+/**
+ * One tab sets file, such as the shared .vscode/tab-hero.json
+ *
+ * Tab sets are kept in memory and written to the file in the background.
+ * Writes are serialized, and each one is replayed onto the latest file so
+ * edits from another window or a git pull are merged rather than overwritten.
+ * The label names the file in messages, e.g. "the personal tab-hero.json".
+ * A global store, used from every workspace, keeps home-relative or absolute
+ * paths instead of workspace-relative ones.
+ */
+class TabStore {
+    constructor(label, isGlobal = false) {
+        this.label = label;
+        this.isGlobal = isGlobal;
+        this.storageFile = null;
+        this.workspaceFolder = null;
+        this.needsUpgrade = false;
+        this.readOnlyReason = null;
+        // Set while a reloaded file can't be parsed, clearing readOnlyReason once it can
+        this.unreadableReason = null;
+        this.backupBase = null;
+
+        // The cache is the committed data (last read from or written to the
+        // file) with the pending mutations applied on top
+        this.cache = this.createEmptyData();
+        this.committed = this.createEmptyData();
+        this.lastContent = null;
+        this.pending = [];
+
+        this.syncQueue = Promise.resolve();
+        this.syncScheduled = false;
+        this.fileWatcher = null;
+
+        this.changeEmitter = new vscode.EventEmitter();
+        // Fires with { external } after every change, external ones coming from the file
+        this.onDidChange = this.changeEmitter.event;
+    }
+
+    /**
+     * Load a tab sets file, or unload the store when storageFile is null
+     *
+     * Paths are made relative to workspaceFolder. The file is created with the
+     * first tab set saved to it. A file that can't be read is backed up as
+     * backupBase (the file itself by default) plus ".corrupt-<timestamp>".
+     */
+    initialize(storageFile, workspaceFolder, backupBase = null) {
+        // Changes not yet written belong to the previous file
+        if (this.storageFile && this.pending.length > 0) {
+            this.flushSync();
+        }
+
+        this.storageFile = storageFile;
+        this.workspaceFolder = workspaceFolder;
+        this.backupBase = backupBase;
+        this.readOnlyReason = null;
+        this.unreadableReason = null;
+        this.pending = [];
+
+        if (this.fileWatcher) {
+            this.fileWatcher.dispose();
+            this.fileWatcher = null;
+        }
+
+        if (!storageFile) {
+            this.committed = this.createEmptyData();
+            this.cache = this.createEmptyData();
+            this.lastContent = null;
+            this.changeEmitter.fire({ external: true });
+            return;
+        }
+
+        // Bring older files up to date: schema migrations, reconciled favorites
+        // and workspace-relative paths
+        const data = this.readData();
+
+        if (this.needsUpgrade) {
+            this.writeData(data);
+        }
+
+        this.committed = data;
+        this.cache = this.clone(data);
+        this.watchStorageFile();
+        this.changeEmitter.fire({ external: true });
+    }
+
+    /**
+     * Reload the cache whenever the file changes on disk
+     */
+    watchStorageFile() {
+        this.fileWatcher = vscode.workspace.createFileSystemWatcher(
+            new vscode.RelativePattern(path.dirname(this.storageFile), path.basename(this.storageFile))
+        );
+        this.fileWatcher.onDidChange(() => this.reload());
+        this.fileWatcher.onDidCreate(() => this.reload());
+        this.fileWatcher.onDidDelete(() => this.reload());
+    }
+
+    /**
+     * Get an empty store
+     */
+    createEmptyData() {
+        return { version: STORAGE_VERSION, tabSets: [], favorites: [] };
+    }
+
+    /**
+     * Deep copy stored data, so callers can't change the cache by accident
+     */
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Convert tabs saved with absolute URIs to workspace-relative paths
+     *
+     * Runs when the file is read and when sets are added from elsewhere, so
+     * resolving a tab never has to look for its file.
+     */
+    migrateTabPaths(data) {
+        let migratedCount = 0;
+
+        data.tabSets.forEach(tabSet => {
+            tabSet.tabs = tabSet.tabs.map(tab => {
+                const location = tabPaths.migrateTabLocation(tab, this.workspaceFolder);
+                if (!location) {
+                    return tab;
+                }
+
+                migratedCount++;
+                const migrated = Object.assign({}, tab, location);
+                delete migrated.uri;
+                return migrated;
+            });
+        });
+
+        return migratedCount;
+    }
+
+    /**
+     * Read the storage file's content, or null if it doesn't exist
+     */
+    readContentSync() {
+        try {
+            return fs.readFileSync(this.storageFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading storage file:', error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Read the storage file's content without blocking, or null if it doesn't exist
+     */
+    async readContent(storageFile = this.storageFile) {
+        try {
+            return await fs.promises.readFile(storageFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading storage file:', error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Read all data from storage
+     */
+    readData() {
+        const content = this.readContentSync();
+        this.lastContent = content;
+        return this.parseContent(content);
+    }
+
+    /**
+     * Parse the content of the storage file
+     *
+     * The data is migrated to the current schema, its favorites reconciled and
+     * its paths made workspace-relative; needsUpgrade tells whether that
+     * changed anything. A file that can't be parsed is backed up before an
+     * empty store replaces it. Without recover, as when the file changed on
+     * disk, the store turns read-only instead and null is returned, so a
+     * conflicted or half-edited file is neither replaced nor emptied.
+     */
+    parseContent(content, recover = true) {
+        this.needsUpgrade = false;
+
+        if (content === null) {
+            return this.createEmptyData();
+        }
+
+        let data;
+
+        try {
+            data = JSON.parse(content);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('expected a JSON object');
+            }
+        } catch (error) {
+            console.error('Error parsing storage file:', error);
+
+            if (!recover) {
+                this.setUnreadable(error);
+                return null;
+            }
+
+            this.recoverCorruptFile(content, error);
+            return this.createEmptyData();
+        }
+
+        if (this.unreadableReason && this.readOnlyReason === this.unreadableReason) {
+            this.readOnlyReason = null;
+        }
+        this.unreadableReason = null;
+
+        data = this.reconcile(this.migrate(data));
+
+        if (!this.isGlobal && this.migrateTabPaths(data) > 0) {
+            this.needsUpgrade = true;
+        }
+
+        return data;
+    }
+
+    /**
+     * Apply schema migrations newer than the file's version
+     */
+    migrate(data) {
+        const version = typeof data.version === 'number' ? data.version : 1;
+
+        if (version > STORAGE_VERSION) {
+            // Written by a newer Tab Hero: read what we can, but never write it back
+            this.setReadOnly(`${this.label} was saved by a newer version of Tab Hero (schema ${version}). ` +
+                'Update the extension to make changes.');
+            return this.normalize(data);
+        }
+
+        this.normalize(data);
+
+        MIGRATIONS
+            .filter(migration => migration.version > version)
+            .forEach(migration => migration.migrate(data));
+
+        if (version < STORAGE_VERSION) {
+            data.version = STORAGE_VERSION;
+            this.needsUpgrade = true;
+        }
+
+        return data;
+    }
+
+    /**
+     * Make sure the top-level structure is usable
+     */
+    normalize(data) {
+        data.tabSets = Array.isArray(data.tabSets)
+            ? data.tabSets.filter(set => set && typeof set === 'object')
+            : [];
+        data.favorites = Array.isArray(data.favorites) ? data.favorites : [];
+
+        // Open counts and slots are only written once used
+        ['usage', 'slots'].forEach(key => {
+            if (data[key] !== undefined && (!data[key] || typeof data[key] !== 'object' || Array.isArray(data[key]))) {
+                delete data[key];
+            }
+        });
+
+        data.tabSets.forEach(tabSet => {
+            if (!Array.isArray(tabSet.tabs)) {
+                tabSet.tabs = [];
+            }
+            if (tabSet.tags !== undefined && !Array.isArray(tabSet.tags)) {
+                delete tabSet.tags;
+            }
+            tabSet.tabs.forEach(tab => {
+                if (tab && tab.content !== undefined && typeof tab.content !== 'string') {
+                    delete tab.content;
+                }
+            });
+        });
+
+        return data;
+    }
+
+    /**
+     * Reconcile the favorites list with each set's isFavorite flag
+     *
+     * The flag travels with the set through edits and merges, so it wins. The
+     * list only decides for sets without a flag, and is rebuilt from the flags,
+     * dropping IDs of sets that no longer exist.
+     */
+    reconcile(data) {
+        const listed = new Set(data.favorites);
+
+        data.tabSets.forEach(tabSet => {
+            if (typeof tabSet.isFavorite !== 'boolean') {
+                tabSet.isFavorite = listed.has(tabSet.id);
+                this.needsUpgrade = true;
+            }
+        });
+
+        const favorites = data.tabSets.filter(set => set.isFavorite).map(set => set.id);
+
+        if (favorites.length !== data.favorites.length || favorites.some(id => !listed.has(id))) {
+            this.needsUpgrade = true;
+        }
+
+        data.favorites = favorites;
+        return data;
+    }
+
+    /**
+     * Stop writing while the file on disk can't be parsed, keeping the tab
+     * sets last read, and warn once until it can be read again
+     */
+    setUnreadable(error) {
+        if (this.unreadableReason) {
+            return;
+        }
+
+        this.unreadableReason = `Tab Hero could not read ${this.label} (${error.message}), ` +
+            'for example because of merge conflict markers. Its tab sets are kept as they were, ' +
+            'and changes are not saved until the file is fixed.';
+        this.setReadOnly(this.unreadableReason);
+    }
+
+    /**
+     * Back up a storage file that can't be parsed and start an empty one
+     */
+    recoverCorruptFile(content, error) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupFile = `${this.backupBase || this.storageFile}.corrupt-${timestamp}`;
+
+        try {
+            fs.mkdirSync(path.dirname(backupFile), { recursive: true });
+            fs.writeFileSync(backupFile, content, 'utf8');
+        } catch (backupError) {
+            // Without a backup, leave the file alone rather than lose it
+            console.error('Error backing up corrupt storage file:', backupError);
+            this.setReadOnly(`Tab Hero could not read ${this.label} (${error.message}) or back it up. ` +
+                'Fix or remove the file to save tab sets.');
+            return;
+        }
+
+        this.writeData(this.createEmptyData());
+
+        vscode.window.showWarningMessage(
+            `Tab Hero could not read ${this.label} (${error.message}). ` +
+            `The file was backed up as ${path.basename(backupFile)} and a new, empty one was started.`,
+            'Open Backup'
+        ).then(choice => {
+            if (choice === 'Open Backup') {
+                vscode.window.showTextDocument(vscode.Uri.file(backupFile));
+            }
+        });
+    }
+
+    /**
+     * Stop writing to the storage file, telling the user why once
+     *
+     * Changes are still made in memory and last until the window is reloaded.
+     */
+    setReadOnly(reason) {
+        if (this.readOnlyReason === reason) {
+            return;
+        }
+
+        this.readOnlyReason = reason;
+        vscode.window.showWarningMessage(reason);
+    }
+
+    /**
+     * Serialize data for the storage file, with the version at the top
+     */
+    serialize(data) {
+        const output = Object.assign({ version: STORAGE_VERSION }, data, { version: STORAGE_VERSION });
+        return JSON.stringify(output, null, 2);
+    }
+
+    /**
+     * Write data to storage
+     *
+     * The data goes to a temporary file that is renamed over the storage file,
+     * so a crash mid-write never leaves a truncated file behind.
+     */
+    writeData(data) {
+        if (this.readOnlyReason) {
+            console.error('Not writing storage file:', this.readOnlyReason);
+            return false;
+        }
+
+        const content = this.serialize(data);
+        const tempFile = `${this.storageFile}.${process.pid}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(this.storageFile), { recursive: true });
+            fs.writeFileSync(tempFile, content, 'utf8');
+            fs.renameSync(tempFile, this.storageFile);
+            this.lastContent = content;
+            return true;
+        } catch (error) {
+            console.error('Error writing storage file:', error);
+
+            try {
+                fs.unlinkSync(tempFile);
+            } catch (cleanupError) {
+                // The temporary file was never created
+            }
+
+            return false;
+        }
+    }
+
+    /**
+     * Write data to storage without blocking, atomically like writeData
+     *
+     * The file is checked again just before the rename: if another window
+     * changed it since expectedContent was read, nothing is written and null
+     * is returned so the caller can merge with the new content first.
+     */
+    async writeDataAsync(data, expectedContent) {
+        const storageFile = this.storageFile;
+        const content = this.serialize(data);
+        const tempFile = `${storageFile}.${process.pid}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(storageFile), { recursive: true });
+            await fs.promises.writeFile(tempFile, content, 'utf8');
+
+            if (await this.readContent(storageFile) !== expectedContent) {
+                await fs.promises.unlink(tempFile);
+                return null;
+            }
+
+            await fs.promises.rename(tempFile, storageFile);
+            if (storageFile === this.storageFile) {
+                this.lastContent = content;
+            }
+            return true;
+        } catch (error) {
+            console.error('Error writing storage file:', error);
+
+            try {
+                await fs.promises.unlink(tempFile);
+            } catch (cleanupError) {
+                // The temporary file was never created
+            }
+
+            return false;
+        }
+    }
+
+    /**
+     * Apply a change to the cache and queue it for writing
+     *
+     * The mutation gets the data to change and may run more than once: again
+     * on the latest file content when the write happens, and whenever another
+     * window's changes are loaded before that. It must find tab sets by ID
+     * and insert fresh objects each time. Returns the mutation's result.
+     */
+    mutate(mutation) {
+        const before = JSON.stringify(this.cache);
+        const result = mutation(this.cache);
+
+        if (JSON.stringify(this.cache) !== before) {
+            this.pending.push(mutation);
+            this.scheduleSync();
+            this.changeEmitter.fire({ external: false });
+        }
+
+        return result;
+    }
+
+    /**
+     * Queue a sync with the storage file, unless one is already waiting to run
+     */
+    scheduleSync() {
+        if (!this.syncScheduled) {
+            this.syncScheduled = true;
+            this.syncQueue = this.syncQueue
+                .then(() => {
+                    this.syncScheduled = false;
+                    return this.sync();
+                })
+                .catch(error => console.error('Error syncing storage file:', error));
+        }
+
+        return this.syncQueue;
+    }
+
+    /**
+     * Load changes made to the file outside this window
+     */
+    reload() {
+        return this.scheduleSync();
+    }
+
+    /**
+     * Wait until all changes so far have been written
+     */
+    flush() {
+        return this.syncQueue;
+    }
+
+    /**
+     * Merge the storage file and the pending mutations, and write the result
+     *
+     * Content that differs from what this window last read or wrote came from
+     * elsewhere: it is parsed, the pending mutations are replayed on top, and
+     * the cache is rebuilt from it.
+     */
+    async sync() {
+        const storageFile = this.storageFile;
+        if (!storageFile) {
+            return;
+        }
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const content = await this.readContent();
+            if (storageFile !== this.storageFile) {
+                return; // Switched to another folder's storage meanwhile
+            }
+
+            const lastContent = this.lastContent;
+            const external = content !== lastContent;
+            let base;
+
+            if (external) {
+                base = this.parseContent(content, false);
+
+                if (!base) {
+                    // Keep the cache and pending changes until the file parses again
+                    this.lastContent = content;
+                    return;
+                }
+            } else {
+                base = this.clone(this.committed);
+                this.needsUpgrade = false;
+            }
+
+            // Recovering a corrupt file writes an empty store in its place
+            const currentContent = this.lastContent !== lastContent ? this.lastContent : content;
+
+            const mutations = this.pending.slice();
+            const merged = this.clone(base);
+            mutations.forEach(mutation => mutation(merged));
+
+            let written = false;
+
+            if ((mutations.length > 0 || this.needsUpgrade) && !this.readOnlyReason) {
+                written = await this.writeDataAsync(merged, currentContent);
+
+                if (written === null) {
+                    // Changed by another window before the write; merge again
+                    this.lastContent = lastContent;
+                    continue;
+                }
+            }
+
+            if (storageFile !== this.storageFile) {
+                return;
+            }
+
+            if (!written) {
+                this.lastContent = currentContent;
+            }
+
+            if (written) {
+                // Mutations made while writing are still pending
+                this.committed = merged;
+                this.pending = this.pending.slice(mutations.length);
+            } else {
+                this.committed = base;
+            }
+
+            if (external) {
+                this.cache = this.clone(this.committed);
+                this.pending.forEach(mutation => mutation(this.cache));
+                this.changeEmitter.fire({ external: true });
+            }
+
+            return;
+        }
+
+        console.error('Error writing storage file: it kept changing, will retry on the next change');
+    }
+
+    /**
+     * Write the pending mutations right away, blocking until done
+     */
+    flushSync() {
+        if (this.readOnlyReason) {
+            return;
+        }
+
+        const data = this.readData();
+        this.pending.forEach(mutation => mutation(data));
+
+        if (this.writeData(data)) {
+            this.pending = [];
+        }
+    }
+
+    /**
+     * Stop watching the storage file
+     */
+    dispose() {
+        if (this.fileWatcher) {
+            this.fileWatcher.dispose();
+            this.fileWatcher = null;
+        }
+    }
+
+    /**
+     * Save a new tab set
+     *
+     * Each tab records its workspace folder name and a path relative to it
+     * (or an absolute URI when outside the workspace), its editor group
+     * (viewColumn), position in the group, pinned/active state, and the cursor
+     * selections, visible range and folded lines last seen in that editor.
+     * Options can hold the branch of each workspace folder (branches), the
+     * focused group (activeViewColumn), the editor layout, the isAutoSaved
+     * flag and an ID picked by the caller.
+     */
+    saveTabSet(name, tabs, branch = null, isFavorite = false, options = {}) {
+        const id = options.id || this.generateId(this.cache);
+        const now = new Date().toISOString();
+        const storedTabs = tabs.map(tab => this.toStoredTab(tab));
+
+        return this.mutate(data => {
+            // Already written when replayed
+            const existing = data.tabSets.find(set => set.id === id);
+            if (existing) {
+                return this.clone(existing);
+            }
+
+            const tabSet = {
+                id: id,
+                name: name,
+                branch: branch,
+                branches: options.branches || null,
+                tabs: this.clone(storedTabs),
+                activeViewColumn: options.activeViewColumn || null,
+                layout: options.layout || null,
+                createdAt: now,
+                updatedAt: now,
+                isFavorite: isFavorite
+            };
+
+            if (options.isAutoSaved) {
+                tabSet.isAutoSaved = true;
+            }
+
+            data.tabSets.push(tabSet);
+
+            if (isFavorite && !data.favorites.includes(tabSet.id)) {
+                data.favorites.push(tabSet.id);
+            }
+
+            return this.clone(tabSet);
+        });
+    }
+
+    /**
+     * Convert an open tab with file metadata to its stored form
+     *
+     * The kind is "text", "diff", "notebook", "notebookDiff" or "custom".
+     */
+    toStoredTab(tab) {
+        const storedTab = Object.assign(this.toStoredLocation(tab.uri), {
+            kind: tab.kind || 'text',
+            fileName: tab.fileName,
+            languageId: tab.languageId,
+            viewColumn: tab.viewColumn || null,
+            index: tab.index !== undefined ? tab.index : null,
+            isPinned: !!tab.isPinned,
+            isActive: !!tab.isActive,
+            selections: tab.selections || null,
+            visibleRange: tab.visibleRange || null,
+            foldedLines: tab.foldedLines || []
+        });
+
+        // Diffs and custom editors need more than one file to reopen
+        if (tab.original) {
+            storedTab.original = this.toStoredLocation(tab.original);
+        }
+        if (tab.label && storedTab.kind !== 'text') {
+            storedTab.label = tab.label;
+        }
+        if (tab.notebookType) {
+            storedTab.notebookType = tab.notebookType;
+        }
+        if (tab.viewType) {
+            storedTab.viewType = tab.viewType;
+        }
+        // Text of an untitled editor or unsaved changes, only kept when asked for
+        if (typeof tab.content === 'string') {
+            storedTab.content = tab.content;
+        }
+
+        return storedTab;
+    }
+
+    /**
+     * Get the stored location of a URI, depending on the kind of store
+     */
+    toStoredLocation(uri) {
+        return this.isGlobal ? tabPaths.toGlobalLocation(uri) : tabPaths.toStoredLocation(uri);
+    }
+
+    /**
+     * Point a stored tab or diff original at another URI, keeping its other fields
+     */
+    withLocation(location, uri) {
+        const moved = Object.assign({}, location);
+        delete moved.uri;
+        delete moved.homePath;
+        return Object.assign(moved, this.toStoredLocation(uri));
+    }
+
+    /**
+     * Convert a stored tab from another kind of store to this store's locations
+     *
+     * Paths are resolved against defaultFolderPath, the other store's folder.
+     * Tabs that can't be resolved are kept as they are.
+     */
+    relocateTab(tab, defaultFolderPath) {
+        const relocate = location => {
+            const uri = tabPaths.resolveTabUri(location, defaultFolderPath);
+            return uri ? this.withLocation(location, uri) : location;
+        };
+
+        const relocated = relocate(tab);
+        if (tab.original) {
+            relocated.original = relocate(tab.original);
+        }
+        return relocated;
+    }
+
+    /**
+     * Get a key identifying the file of a stored tab
+     */
+    getTabKey(tab) {
+        const location = tab.homePath || (tab.relativePath && !tab.uri
+            ? `${tab.workspaceFolder}:${tab.relativePath}`
+            : tab.uri);
+        return `${tab.kind || 'text'}:${location}`;
+    }
+
+    /**
+     * Generate a tab set ID that isn't in use yet
+     */
+    generateId(data) {
+        let id = Date.now();
+        while ((data.tabSets || []).some(set => set.id === id.toString())) {
+            id++;
+        }
+        return id.toString();
+    }
+
+    /**
+     * Get all tab sets
+     */
+    getAllTabSets() {
+        return this.clone(this.cache.tabSets);
+    }
+
+    /**
+     * Check whether a tab set was saved on a branch
+     *
+     * Sets record the branch of each workspace folder they span; sets saved
+     * before that only have the single branch of the first folder.
+     */
+    static matchesBranch(tabSet, branch, folderName = null) {
+        const folderBranches = tabSet.branches || {};
+
+        if (folderName && Object.keys(folderBranches).length > 0) {
+            return folderBranches[folderName] === branch;
+        }
+
+        return tabSet.branch === branch;
+    }
+
+    /**
+     * Get a specific tab set by ID
+     */
+    getTabSetById(id) {
+        return this.clone(this.cache.tabSets.find(set => set.id === id));
+    }
+
+    /**
+     * Get the tab sets matching every criterion of a query
+     *
+     * - text: part of the name, a tag, a branch or a file path
+     * - tags: tags the set must all have
+     * - branch: part of the branch of any folder of the set
+     * - file: a URI of a file in the set, or part of a file path
+     * - favorite: only favorites when true
+     * Text is compared case-insensitively.
+     */
+    queryTabSets(query = {}) {
+        return this.getAllTabSets().filter(tabSet => this.matchesQuery(tabSet, query));
+    }
+
+    /**
+     * Check whether a tab set matches a query of queryTabSets
+     */
+    matchesQuery(tabSet, query) {
+        const includes = (value, part) => !!value && value.toLowerCase().includes(part.toLowerCase());
+        const tags = (tabSet.tags || []).map(tag => tag.toLowerCase());
+        const branches = [tabSet.branch].concat(Object.values(tabSet.branches || {}));
+        const paths = tabSet.tabs.map(tab => tab.homePath || tab.relativePath || tab.uri);
+
+        if (query.favorite && !tabSet.isFavorite) {
+            return false;
+        }
+
+        if ((query.tags || []).some(tag => !tags.includes(tag.toLowerCase()))) {
+            return false;
+        }
+
+        if (query.branch && !branches.some(branch => includes(branch, query.branch))) {
+            return false;
+        }
+
+        if (query.file instanceof vscode.Uri) {
+            const file = query.file.toString();
+            if (!tabSet.tabs.some(tab => {
+                const uri = tabPaths.resolveTabUri(tab, this.workspaceFolder);
+                return uri && uri.toString() === file;
+            })) {
+                return false;
+            }
+        } else if (query.file && !paths.some(filePath => includes(filePath, query.file))) {
+            return false;
+        }
+
+        return !query.text || [tabSet.name].concat(tags, branches, paths).some(value => includes(value, query.text));
+    }
+
+    /**
+     * Update a tab set name
+     *
+     * updatedAt tracks changes to a set's tabs, so renaming leaves it alone
+     * and doesn't make an older set the latest for its branch.
+     */
+    renameTabSet(id, newName) {
+        return this.mutate(data => {
+            const tabSet = data.tabSets.find(set => set.id === id);
+
+            if (tabSet) {
+                tabSet.name = newName;
+                return true;
+            }
+
+            return false;
+        });
+    }
+
+    /**
+     * Set the tags of a tab set, leaving updatedAt alone like renameTabSet
+     *
+     * Tags are trimmed, lose a leading "#" and spaces become dashes. An empty
+     * list removes them. Returns the tags set, or null if the set doesn't exist.
+     */
+    setTags(id, tags) {
+        const cleaned = TabStore.normalizeTags(tags);
+
+        return this.mutate(data => {
+            const tabSet = data.tabSets.find(set => set.id === id);
+
+            if (!tabSet) {
+                return null;
+            }
+
+            if (cleaned.length > 0) {
+                tabSet.tags = cleaned.slice();
+            } else {
+                delete tabSet.tags;
+            }
+
+            return cleaned.slice();
+        });
+    }
+
+    /**
+     * Clean up tags entered by the user, dropping duplicates in any case
+     */
+    static normalizeTags(tags) {
+        const seen = new Set();
+
+        return tags
+            .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-'))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Get how often a tab set was opened: { openCount, lastOpenedAt }
+     */
+    getUsage(id) {
+        const usage = this.cache.usage && this.cache.usage[id];
+        return usage ? this.clone(usage) : { openCount: 0, lastOpenedAt: null };
+    }
+
+    /**
+     * Count an opening of a tab set of this store or another one
+     *
+     * Counts are kept apart from the sets, so the personal store can count
+     * shared sets without changing the committed file.
+     */
+    recordOpen(id) {
+        const now = new Date().toISOString();
+
+        this.mutate(data => {
+            const usage = data.usage || {};
+            const openCount = usage[id] ? usage[id].openCount || 0 : 0;
+
+            usage[id] = { openCount: openCount + 1, lastOpenedAt: now };
+            data.usage = usage;
+        });
+    }
+
+    /**
+     * Get the quick-switch slots kept in this store: { "1": id, ... }
+     */
+    getSlots() {
+        return this.clone(this.cache.slots || {});
+    }
+
+    /**
+     * Bind a quick-switch slot to a tab set of this store or another one
+     *
+     * A set holds at most one slot, so it leaves its previous one. With a null
+     * ID the slot is cleared. Returns true if anything changed.
+     */
+    setSlot(slot, id) {
+        const key = String(slot);
+
+        return this.mutate(data => {
+            const slots = data.slots || {};
+            const before = JSON.stringify(slots);
+
+            Object.keys(slots)
+                .filter(other => other === key || (id && slots[other] === id))
+                .forEach(other => delete slots[other]);
+
+            if (id) {
+                slots[key] = id;
+            }
+
+            if (Object.keys(slots).length > 0) {
+                data.slots = slots;
+            } else {
+                delete data.slots;
+            }
+
+            return JSON.stringify(slots) !== before;
+        });
+    }
+
+    /**
+     * Replace the tabs of a tab set, e.g. with the currently open tabs
+     *
+     * Options can hold a new editor layout (activeViewColumn, layout).
+     */
+    updateTabSetTabs(id, tabs, options = {}) {
+        const now = new Date().toISOString();
+        const storedTabs = tabs.map(tab => this.toStoredTab(tab));
+
+        return this.mutate(data => {
+            const tabSet = data.tabSets.find(set => set.id === id);
+
+            if (!tabSet) {
+                return null;
+            }
+
+            tabSet.tabs = this.clone(storedTabs);
+            tabSet.activeViewColumn = options.activeViewColumn || null;
+            tabSet.layout = options.layout || null;
+            tabSet.updatedAt = now;
+
+            return this.clone(tabSet);
+        });
+    }
+
+    /**
+     * Add tabs to the end of a tab set, skipping files it already holds
+     *
+     * Returns the number of tabs added, or -1 if the set doesn't exist.
+     */
+    addTabs(id, tabs) {
+        const now = new Date().toISOString();
+        const storedTabs = tabs.map(tab => this.toStoredTab(tab));
+
+        return this.mutate(data => {
+            const tabSet = data.tabSets.find(set => set.id === id);
+
+            if (!tabSet) {
+                return -1;
+            }
+
+            const existingKeys = new Set(tabSet.tabs.map(tab => this.getTabKey(tab)));
+            const newTabs = this.clone(storedTabs)
+                .filter(tab => !existingKeys.has(this.getTabKey(tab)));
+
+            if (newTabs.length > 0) {
+                tabSet.tabs.push(...newTabs);
+                tabSet.updatedAt = now;
+            }
+
+            return newTabs.length;
+        });
+    }
+
+    /**
+     * Remove tabs from a tab set by their positions in its tab list
+     *
+     * Returns the number of tabs removed, or -1 if the set doesn't exist.
+     * Replayed onto another window's changes, the same files are removed
+     * even if their positions moved.
+     */
+    removeTabs(id, indexes) {
+        const tabSet = this.cache.tabSets.find(set => set.id === id);
+        const keys = tabSet
+            ? indexes.filter(index => tabSet.tabs[index]).map(index => this.getTabKey(tabSet.tabs[index]))
+            : [];
+        const now = new Date().toISOString();
+
+        return this.mutate(data => {
+            const target = data.tabSets.find(set => set.id === id);
+
+            if (!target) {
+                return -1;
+            }
+
+            const initialLength = target.tabs.length;
+            target.tabs = target.tabs.filter(tab => !keys.includes(this.getTabKey(tab)));
+
+            if (target.tabs.length < initialLength) {
+                target.updatedAt = now;
+            }
+
+            return initialLength - target.tabs.length;
+        });
+    }
+
+    /**
+     * Point tabs of a tab set at new files, e.g. after they were moved
+     *
+     * Remaps are { index, uri } pairs, by position in the set's tab list like
+     * removeTabs. Returns the number of tabs remapped, or -1 if the set
+     * doesn't exist.
+     */
+    remapTabs(id, remaps) {
+        const current = this.cache.tabSets.find(set => set.id === id);
+        const keyedRemaps = current
+            ? remaps
+                .filter(remap => current.tabs[remap.index])
+                .map(remap => ({ key: this.getTabKey(current.tabs[remap.index]), uri: remap.uri }))
+            : [];
+        const now = new Date().toISOString();
+
+        return this.mutate(data => {
+            const tabSet = data.tabSets.find(set => set.id === id);
+
+            if (!tabSet) {
+                return -1;
+            }
+
+            let remappedCount = 0;
+
+            tabSet.tabs = tabSet.tabs.map(tab => {
+                const remap = keyedRemaps.find(r => r.key === this.getTabKey(tab));
+                if (!remap) {
+                    return tab;
+                }
+
+                remappedCount++;
+                return Object.assign(this.withLocation(tab, remap.uri), {
+                    fileName: remap.uri.path.split('/').pop()
+                });
+            });
+
+            if (remappedCount > 0) {
+                tabSet.updatedAt = now;
+            }
+
+            return remappedCount;
+        });
+    }
+
+    /**
+     * Follow files and folders renamed in the editor
+     *
+     * Renames are { oldUri, newUri } pairs. Tabs and diff originals in renamed
+     * folders move along. Returns the number of tab sets updated.
+     */
+    renameFiles(renames) {
+        return this.mutate(data => {
+            let updatedCount = 0;
+
+            data.tabSets.forEach(tabSet => {
+                let changed = false;
+
+                const rename = location => {
+                    const uri = tabPaths.resolveTabUri(location, this.workspaceFolder);
+                    const newUri = uri ? tabPaths.getRenamedUri(uri, renames) : null;
+                    if (!newUri) {
+                        return location;
+                    }
+
+                    changed = true;
+                    return this.withLocation(location, newUri);
+                };
+
+                tabSet.tabs = tabSet.tabs.map(tab => {
+                    const renamed = rename(tab);
+                    if (renamed !== tab) {
+                        renamed.fileName = tabPaths.resolveTabUri(renamed, this.workspaceFolder).path.split('/').pop();
+                    }
+                    if (tab.original) {
+                        renamed.original = rename(tab.original);
+                    }
+                    return renamed;
+                });
+
+                if (changed) {
+                    updatedCount++;
+                }
+            });
+
+            return updatedCount;
+        });
+    }
+
+    /**
+     * Add a stored tab set, e.g. a copy or one moved from another store
+     *
+     * The set keeps its ID unless this store already uses it for another set.
+     * With the relocate option, e.g. for sets from a store of another kind,
+     * paths are resolved against defaultFolderPath and stored the way this
+     * store keeps them. With keepContent, tabs it returns false for lose their
+     * unsaved content.
+     */
+    insertTabSet(tabSet, options = {}) {
+        const stored = this.clone(tabSet);
+        if (options.relocate) {
+            stored.tabs = stored.tabs.map(tab => this.relocateTab(tab, options.defaultFolderPath));
+        }
+        if (options.keepContent) {
+            stored.tabs
+                .filter(tab => tab.content !== undefined && !options.keepContent(tab))
+                .forEach(tab => delete tab.content);
+        }
+        if (!this.isGlobal) {
+            this.migrateTabPaths({ tabSets: [stored] });
+        }
+        const taken = this.cache.tabSets.some(set => set.id === stored.id);
+        stored.id = taken ? this.generateId(this.cache) : stored.id;
+
+        return this.mutate(data => {
+            // Already written when replayed
+            const existing = data.tabSets.find(set => set.id === stored.id);
+            if (existing) {
+                return this.clone(existing);
+            }
+
+            data.tabSets.push(this.clone(stored));
+
+            if (stored.isFavorite && !data.favorites.includes(stored.id)) {
+                data.favorites.push(stored.id);
+            }
+
+            return this.clone(stored);
+        });
+    }
+
+    /**
+     * Move tabs within or between tab sets
+     *
+     * Sources are { setId, index } pairs. The tabs are inserted before the tab
+     * at targetIndex in the target set, or appended when it is null. Moved tabs
+     * join the editor group of the tab they are dropped on. Tabs are matched
+     * by file when replayed, as other changes may have shifted positions.
+     */
+    moveTabs(sources, targetSetId, targetIndex = null) {
+        const getKey = (setId, index) => {
+            const set = this.cache.tabSets.find(s => s.id === setId);
+            return set && set.tabs[index] ? this.getTabKey(set.tabs[index]) : null;
+        };
+        const sourceKeys = sources
+            .map(({ setId, index }) => ({ setId, key: getKey(setId, index) }))
+            .filter(source => source.key);
+        const anchorKey = targetIndex !== null ? getKey(targetSetId, targetIndex) : null;
+        const now = new Date().toISOString();
+
+        return this.mutate(data => {
+            const target = data.tabSets.find(set => set.id === targetSetId);
+
+            if (!target) {
+                return false;
+            }
+
+            const findTab = (set, key) => set.tabs.find(tab => this.getTabKey(tab) === key);
+            const moving = sourceKeys
+                .map(({ setId, key }) => {
+                    const set = data.tabSets.find(s => s.id === setId);
+                    const tab = set && findTab(set, key);
+                    return tab ? { set, tab } : null;
+                })
+                .filter(Boolean);
+
+            if (moving.length === 0) {
+                return false;
+            }
+
+            const anchor = anchorKey ? findTab(target, anchorKey) : null;
+            if (anchor && moving.some(({ tab }) => tab === anchor)) {
+                return false; // Dropped onto itself
+            }
+
+            moving.forEach(({ set, tab }) => {
+                set.tabs = set.tabs.filter(t => t !== tab);
+                set.updatedAt = now;
+            });
+
+            const lastTab = target.tabs[target.tabs.length - 1];
+            const viewColumn = anchor ? anchor.viewColumn : (lastTab ? lastTab.viewColumn : null);
+            const movedTabs = moving.map(({ set, tab }) => set === target
+                ? Object.assign({}, tab, { viewColumn })
+                : Object.assign({}, tab, { viewColumn, isActive: false }));
+
+            const anchorPosition = anchor ? target.tabs.indexOf(anchor) : -1;
+            const insertAt = anchorPosition >= 0 ? anchorPosition : target.tabs.length;
+            target.tabs.splice(insertAt, 0, ...movedTabs);
+            target.updatedAt = now;
+
+            // Renumber positions so restore follows the new order in each group
+            const positions = new Map();
+            target.tabs.forEach(tab => {
+                const column = tab.viewColumn || null;
+                const position = positions.get(column) || 0;
+                tab.index = position;
+                positions.set(column, position + 1);
+            });
+
+            return true;
+        });
+    }
+
+    /**
+     * Toggle favorite status, leaving updatedAt alone like renameTabSet
+     *
+     * Replays set the status chosen here rather than toggling it again.
+     */
+    toggleFavorite(id) {
+        const tabSet = this.cache.tabSets.find(set => set.id === id);
+        const isFavorite = tabSet ? !tabSet.isFavorite : false;
+
+        return this.mutate(data => {
+            const target = data.tabSets.find(set => set.id === id);
+
+            if (!target) {
+                return false;
+            }
+
+            target.isFavorite = isFavorite;
+
+            if (isFavorite) {
+                if (!data.favorites.includes(id)) {
+                    data.favorites.push(id);
+                }
+            } else {
+                data.favorites = data.favorites.filter(fav => fav !== id);
+            }
+
+            return isFavorite;
+        });
+    }
+
+    /**
+     * Delete a tab set
+     */
+    deleteTabSet(id) {
+        return this.mutate(data => {
+            const initialLength = data.tabSets.length;
+
+            data.tabSets = data.tabSets.filter(set => set.id !== id);
+            data.favorites = data.favorites.filter(fav => fav !== id);
+
+            if (data.usage) {
+                delete data.usage[id];
+            }
+
+            return data.tabSets.length < initialLength;
+        });
+    }
+
+    /**
+     * Delete the oldest tab sets beyond a count, by creation date
+     *
+     * Returns the number of tab sets deleted.
+     */
+    pruneOldestTabSets(maxCount) {
+        const expired = this.cache.tabSets
+            .slice()
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(Math.max(0, maxCount))
+            .map(set => set.id);
+
+        if (expired.length === 0) {
+            return 0;
+        }
+
+        return this.mutate(data => {
+            const initialLength = data.tabSets.length;
+
+            data.tabSets = data.tabSets.filter(set => !expired.includes(set.id));
+            data.favorites = data.favorites.filter(fav => !expired.includes(fav));
+
+            return initialLength - data.tabSets.length;
+        });
+    }
+
+    /**
+     * Move tab sets from one branch to another, e.g. after a branch rename
+     *
+     * Only the branch of folderName changes when given. ids limits which sets
+     * change. Returns how many sets changed.
+     */
+    replaceBranch(fromBranch, toBranch, folderName = null, ids = null) {
+        return this.mutate(data => {
+            let changedCount = 0;
+
+            data.tabSets.forEach(tabSet => {
+                if ((ids && !ids.includes(tabSet.id)) || !TabStore.matchesBranch(tabSet, fromBranch, folderName)) {
+                    return;
+                }
+
+                const folderBranches = tabSet.branches || {};
+                Object.keys(folderBranches)
+                    .filter(name => folderBranches[name] === fromBranch && (!folderName || name === folderName))
+                    .forEach(name => {
+                        folderBranches[name] = toBranch;
+                    });
+
+                // The first folder's branch, unless another folder is still on fromBranch
+                if (tabSet.branch === fromBranch && !Object.keys(folderBranches).some(name => folderBranches[name] === fromBranch)) {
+                    tabSet.branch = toBranch;
+                }
+
+                changedCount++;
+            });
+
+            return changedCount;
+        });
+    }
+
+    /**
+     * Delete automatically saved tab sets for a branch, except the one to keep
+     */
+    pruneAutoSavedTabSets(branch, keepId, folderName = null) {
+        return this.mutate(data => {
+            const initialLength = data.tabSets.length;
+
+            data.tabSets = data.tabSets.filter(set =>
+                !set.isAutoSaved || set.isFavorite || set.id === keepId ||
+                !TabStore.matchesBranch(set, branch, folderName)
+            );
+
+            return initialLength - data.tabSets.length;
+        });
+    }
+}
+
+module.exports = TabStore;
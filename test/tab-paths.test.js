@@ -0,0 +1,78 @@
+/* global suite, test */
+
+var assert = require('assert');
+var tabPaths = require('../tab-paths');
+
+suite('Tab Paths', function() {
+
+    suite('globToRegExp', function() {
+        var matches = function(glob, filePath) {
+            return tabPaths.globToRegExp(glob).test(filePath);
+        };
+
+        test('* stays within one path segment', function() {
+            assert.ok(matches('*.min.js', 'app.min.js'));
+            assert.ok(!matches('*.min.js', 'lib/app.min.js'));
+        });
+
+        test('? matches one character but not a slash', function() {
+            assert.ok(matches('file?.txt', 'file1.txt'));
+            assert.ok(!matches('file?.txt', 'file10.txt'));
+            assert.ok(!matches('a?b', 'a/b'));
+        });
+
+        test('**/ matches any number of folders, including none', function() {
+            assert.ok(matches('**/*.lock', 'yarn.lock'));
+            assert.ok(matches('**/*.lock', 'packages/app/yarn.lock'));
+            assert.ok(!matches('**/*.lock', 'yarn.lock.bak'));
+        });
+
+        test('a trailing ** matches everything below a folder', function() {
+            assert.ok(matches('dist/**', 'dist/x.js'));
+            assert.ok(matches('dist/**', 'dist/nested/x.js'));
+            assert.ok(!matches('dist/**', 'src/dist.js'));
+            assert.ok(!matches('dist/**', 'app/dist/x.js'));
+        });
+
+        test('braces match any of their alternatives', function() {
+            assert.ok(matches('*.{js,ts}', 'index.js'));
+            assert.ok(matches('*.{js,ts}', 'index.ts'));
+            assert.ok(!matches('*.{js,ts}', 'index.json'));
+            assert.ok(matches('{src,test}/**/*.js', 'test/unit/a.js'));
+        });
+
+        test('commas outside braces are literal', function() {
+            assert.ok(matches('a,b.txt', 'a,b.txt'));
+            assert.ok(!matches('a,b.txt', 'a.txt'));
+        });
+
+        test('character classes match one of their characters, or none of them with !', function() {
+            assert.ok(matches('file[0-9].txt', 'file7.txt'));
+            assert.ok(!matches('file[0-9].txt', 'filex.txt'));
+            assert.ok(matches('file[!0-9].txt', 'filex.txt'));
+            assert.ok(!matches('file[!0-9].txt', 'file7.txt'));
+        });
+
+        test('an unclosed bracket is literal', function() {
+            assert.ok(matches('a[b', 'a[b'));
+        });
+
+        test('regular expression characters are literal', function() {
+            assert.ok(matches('a.b+(c)$', 'a.b+(c)$'));
+            assert.ok(!matches('a.b', 'axb'));
+        });
+
+        test('matches whole paths only', function() {
+            assert.ok(!matches('x.js', 'src/x.js'));
+            assert.ok(!matches('src', 'src/x.js'));
+        });
+    });
+
+    suite('matchesAnyGlob', function() {
+        test('matches when any glob does', function() {
+            assert.ok(tabPaths.matchesAnyGlob('dist/x.js', ['**/*.lock', 'dist/**']));
+            assert.ok(!tabPaths.matchesAnyGlob('src/x.js', ['**/*.lock', 'dist/**']));
+            assert.ok(!tabPaths.matchesAnyGlob('src/x.js', []));
+        });
+    });
+});
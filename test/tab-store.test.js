@@ -0,0 +1,190 @@
+/* global suite, test, setup, teardown */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var vscode = require('vscode');
+var TabStore = require('../tab-store');
+
+suite('Tab Store', function() {
+    var folder;
+    var storageFile;
+    var store;
+
+    var writeFile = function(data) {
+        fs.writeFileSync(storageFile, typeof data === 'string' ? data : JSON.stringify(data, null, 2), 'utf8');
+    };
+
+    var readFile = function() {
+        return JSON.parse(fs.readFileSync(storageFile, 'utf8'));
+    };
+
+    var fileTab = function(name) {
+        return {
+            kind: 'text',
+            uri: vscode.Uri.file(path.join(folder, name)),
+            fileName: name,
+            languageId: 'javascript'
+        };
+    };
+
+    var storedTabSet = function(id, name) {
+        return {
+            id: id,
+            name: name,
+            branch: 'main',
+            tabs: [{ kind: 'text', fileName: 'a.js', workspaceFolder: 'app', relativePath: 'src/a.js', languageId: 'javascript' }],
+            createdAt: '2024-01-01T00:00:00.000Z',
+            updatedAt: '2024-01-01T00:00:00.000Z',
+            isFavorite: false
+        };
+    };
+
+    setup(function() {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-hero-test-'));
+        storageFile = path.join(folder, 'tab-hero.json');
+        store = new TabStore('the test tab-hero.json');
+    });
+
+    teardown(function() {
+        store.dispose();
+        fs.readdirSync(folder).forEach(function(file) {
+            fs.unlinkSync(path.join(folder, file));
+        });
+        fs.rmdirSync(folder);
+    });
+
+    test('migrates a version 1 file to the current schema', function() {
+        // Version 1 had no version field, tab kinds or isFavorite flags
+        var tabSet = storedTabSet('1', 'Old');
+        delete tabSet.tabs[0].kind;
+        delete tabSet.isFavorite;
+        writeFile({ tabSets: [tabSet], favorites: ['1', 'deleted'] });
+
+        store.initialize(storageFile, folder);
+
+        var migrated = store.getTabSetById('1');
+        assert.equal(migrated.tabs[0].kind, 'text');
+        assert.equal(migrated.isFavorite, true);
+
+        var written = readFile();
+        assert.equal(written.version, 2);
+        assert.deepEqual(written.favorites, ['1']);
+        assert.equal(written.tabSets[0].tabs[0].kind, 'text');
+        assert.equal(written.tabSets[0].isFavorite, true);
+    });
+
+    test('leaves a file from a newer version untouched', async function() {
+        var content = JSON.stringify({ version: 99, tabSets: [storedTabSet('1', 'Future')], favorites: [], future: true });
+        writeFile(content);
+
+        store.initialize(storageFile, folder);
+
+        assert.ok(store.readOnlyReason);
+        assert.equal(store.getAllTabSets().length, 1);
+
+        // Changes stay in memory only
+        store.saveTabSet('New', [fileTab('b.js')]);
+        await store.flush();
+
+        assert.equal(store.getAllTabSets().length, 2);
+        assert.equal(fs.readFileSync(storageFile, 'utf8'), content);
+    });
+
+    test('backs up a corrupt file and starts an empty one', function() {
+        var content = '{ "tabSets": [ <<<<<<< HEAD';
+        writeFile(content);
+
+        store.initialize(storageFile, folder);
+
+        var backups = fs.readdirSync(folder).filter(function(file) {
+            return file.indexOf('tab-hero.json.corrupt-') === 0;
+        });
+        assert.equal(backups.length, 1);
+        assert.equal(fs.readFileSync(path.join(folder, backups[0]), 'utf8'), content);
+
+        assert.equal(store.readOnlyReason, null);
+        assert.deepEqual(store.getAllTabSets(), []);
+        assert.deepEqual(readFile().tabSets, []);
+    });
+
+    test('keeps its sets and the file when a reloaded file can\'t be read', async function() {
+        writeFile({ version: 2, tabSets: [storedTabSet('1', 'Mine')], favorites: [] });
+        store.initialize(storageFile, folder);
+
+        var conflicted = '{ "tabSets": [ <<<<<<< HEAD';
+        writeFile(conflicted);
+        await store.reload();
+
+        assert.ok(store.readOnlyReason);
+        assert.deepEqual(store.getAllTabSets().map(function(tabSet) {
+            return tabSet.name;
+        }), ['Mine']);
+
+        // Nothing is backed up or written while the file is broken
+        store.saveTabSet('Local', [fileTab('b.js')]);
+        await store.flush();
+        assert.equal(fs.readFileSync(storageFile, 'utf8'), conflicted);
+        assert.deepEqual(fs.readdirSync(folder), ['tab-hero.json']);
+
+        // Once fixed, the change made meanwhile is written on top
+        writeFile({ version: 2, tabSets: [storedTabSet('1', 'Resolved')], favorites: [] });
+        await store.reload();
+
+        assert.equal(store.readOnlyReason, null);
+        assert.deepEqual(readFile().tabSets.map(function(tabSet) {
+            return tabSet.name;
+        }), ['Resolved', 'Local']);
+    });
+
+    test('inserts a set without the content keepContent leaves out', async function() {
+        store.initialize(storageFile, folder);
+
+        var tabSet = storedTabSet('1', 'With content');
+        tabSet.tabs.push({ kind: 'text', fileName: 'Untitled-1', uri: 'untitled:Untitled-1', content: 'password = hunter2hunter2' });
+        tabSet.tabs[0].content = 'const a = 1;';
+
+        var inserted = store.insertTabSet(tabSet, {
+            keepContent: function(tab) {
+                return tab.content.indexOf('password') === -1;
+            }
+        });
+
+        assert.equal(inserted.tabs[0].content, 'const a = 1;');
+        assert.equal(inserted.tabs[1].content, undefined);
+        // The set passed in is left as it was
+        assert.equal(tabSet.tabs[1].content, 'password = hunter2hunter2');
+
+        await store.flush();
+        assert.equal(readFile().tabSets[0].tabs[1].content, undefined);
+    });
+
+    test('replays a pending change on top of a concurrent external write', async function() {
+        writeFile({ version: 2, tabSets: [storedTabSet('1', 'Mine')], favorites: [] });
+        store.initialize(storageFile, folder);
+
+        // Saved here, then another window writes the file before this one syncs
+        var saved = store.saveTabSet('Local', [fileTab('b.js')]);
+        var external = readFile();
+        external.tabSets.push(storedTabSet('external-1', 'From another window'));
+        external.tabSets[0].name = 'Renamed elsewhere';
+        writeFile(external);
+
+        await store.flush();
+
+        var names = readFile().tabSets.map(function(tabSet) {
+            return tabSet.name;
+        }).sort();
+        assert.deepEqual(names, ['From another window', 'Local', 'Renamed elsewhere']);
+
+        // The cache follows the merged file, and the change was written once
+        assert.deepEqual(store.getAllTabSets().map(function(tabSet) {
+            return tabSet.name;
+        }).sort(), names);
+        assert.equal(store.pending.length, 0);
+        assert.equal(readFile().tabSets.filter(function(tabSet) {
+            return tabSet.id === saved.id;
+        }).length, 1);
+    });
+});
@@ -0,0 +1,265 @@
+const vscode = require('vscode');
+const storage = require('./storage');
+const config = require('./config');
+
+// Larger buffers are never kept, and a set keeping more than WARN_SIZE asks first
+const MAX_BUFFER_SIZE = 1024 * 1024;
+const WARN_SIZE = 256 * 1024;
+
+// Text that looks like a credential, checked before content goes into the shared store
+const SECRET_PATTERNS = [
+    { name: 'a private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+    { name: 'an AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+    { name: 'a GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+    { name: 'a Slack token', pattern: /\bxox[aboprs]-[A-Za-z0-9-]{10,}/ },
+    { name: 'a password or API key', pattern: /\b(?:password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\b["']?\s*[:=]\s*["']?[^\s"']{8,}/i }
+];
+
+/**
+ * Keeps the text of untitled editors and unsaved changes with tab sets
+ *
+ * Content is stored on the tab as "content" and follows the
+ * tabHero.save.unsavedContent setting. On restore, an untitled tab comes back
+ * as a new untitled editor and a file tab as the file with the saved text
+ * applied as unsaved changes.
+ */
+class UnsavedContent {
+    /**
+     * Get the text tabs whose document is untitled or has unsaved changes,
+     * with their text
+     */
+    findUnsaved(tabs) {
+        return tabs
+            .filter(tab => (tab.kind || 'text') === 'text')
+            .map(tab => ({
+                tab,
+                document: vscode.workspace.textDocuments.find(doc => doc.uri.toString() === tab.uri.toString())
+            }))
+            .filter(({ document }) => document && document.isDirty)
+            .map(({ tab, document }) => {
+                const text = document.getText();
+                return { tab, text, size: Buffer.byteLength(text, 'utf8') };
+            });
+    }
+
+    /**
+     * Add the content of untitled and unsaved editors to tabs about to be saved
+     * to a store
+     *
+     * Asks first when the setting says so, leaves out buffers over
+     * MAX_BUFFER_SIZE and warns about large content and, for the shared store,
+     * about text that looks like secrets. Without interactive, nothing is asked,
+     * content is only kept when the setting is "always" and secret-looking
+     * content never goes to the shared store. Resolves to the tabs, or null if
+     * the user cancelled.
+     */
+    async capture(tabs, storeName, interactive = true) {
+        const mode = config.getUnsavedContentMode();
+
+        if (mode === 'never' || (mode === 'ask' && !interactive)) {
+            return tabs;
+        }
+
+        const unsaved = this.findUnsaved(tabs);
+
+        if (unsaved.length === 0) {
+            return tabs;
+        }
+
+        if (mode === 'ask') {
+            const choice = await vscode.window.showQuickPick([
+                { label: '$(check) Keep Their Content', description: 'Restored as unsaved editors', keep: true },
+                { label: '$(close) Save Without It', description: 'Only where the editors are', keep: false }
+            ], {
+                placeHolder: `${this.describeEditors(unsaved)} untitled or unsaved. Keep their content in the set?`
+            });
+
+            if (!choice) {
+                return null;
+            }
+            if (!choice.keep) {
+                return tabs;
+            }
+        }
+
+        let kept = unsaved.filter(entry => entry.size <= MAX_BUFFER_SIZE);
+
+        if (interactive) {
+            kept = await this.confirm(unsaved, kept, storeName);
+
+            if (!kept) {
+                return null;
+            }
+        } else if (storeName === 'shared') {
+            kept = kept.filter(entry => this.findSecrets(entry.text).length === 0);
+        }
+
+        const contents = new Map(kept.map(entry => [entry.tab, entry.text]));
+        return tabs.map(tab => contents.has(tab) ? Object.assign({}, tab, { content: contents.get(tab) }) : tab);
+    }
+
+    /**
+     * Warn about left out, large and secret-looking content
+     *
+     * Resolves to the entries to keep, or null if the user cancelled.
+     */
+    async confirm(unsaved, kept, storeName) {
+        const tooLarge = unsaved.filter(entry => !kept.includes(entry));
+
+        if (tooLarge.length > 0) {
+            vscode.window.showWarningMessage(
+                `Left out the content of ${this.describeNames(tooLarge)}, over ${this.formatSize(MAX_BUFFER_SIZE)}.`
+            );
+        }
+
+        const totalSize = kept.reduce((total, entry) => total + entry.size, 0);
+
+        if (totalSize > WARN_SIZE) {
+            const choice = await vscode.window.showWarningMessage(
+                `Unsaved content adds ${this.formatSize(totalSize)} to the ${storage.getStoreLabel(storeName).toLowerCase()} tab sets.`,
+                { modal: true },
+                'Keep Anyway',
+                'Leave It Out'
+            );
+
+            if (!choice) {
+                return null;
+            }
+            if (choice === 'Leave It Out') {
+                return [];
+            }
+        }
+
+        if (storeName !== 'shared') {
+            return kept;
+        }
+
+        const withSecrets = kept
+            .map(entry => ({ entry, secrets: this.findSecrets(entry.text) }))
+            .filter(({ secrets }) => secrets.length > 0);
+
+        if (withSecrets.length === 0) {
+            return kept;
+        }
+
+        const kinds = [...new Set(withSecrets.flatMap(({ secrets }) => secrets))];
+        const choice = await vscode.window.showWarningMessage(
+            `${this.describeNames(withSecrets.map(({ entry }) => entry))} may contain ${kinds.join(', ')}. ` +
+            'Shared tab sets are committed with .vscode/tab-hero.json.',
+            { modal: true },
+            'Leave It Out',
+            'Keep Anyway'
+        );
+
+        if (!choice) {
+            return null;
+        }
+
+        return choice === 'Keep Anyway'
+            ? kept
+            : kept.filter(entry => !withSecrets.some(item => item.entry === entry));
+    }
+
+    /**
+     * Name the kinds of secret a text looks like it contains
+     */
+    findSecrets(text) {
+        return SECRET_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ name }) => name);
+    }
+
+    /**
+     * Check whether a stored tab's content looks like it holds secrets
+     */
+    hasSecrets(tab) {
+        return typeof tab.content === 'string' && this.findSecrets(tab.content).length > 0;
+    }
+
+    /**
+     * Get the names of the stored tabs in tab sets that look like they hold
+     * secrets in their content
+     */
+    findSecretTabs(tabSets) {
+        return tabSets.flatMap(tabSet => tabSet.tabs
+            .filter(tab => this.hasSecrets(tab))
+            .map(tab => tab.fileName));
+    }
+
+    /**
+     * Warn before stored tab sets are copied, moved or imported into the
+     * shared store with secret-looking content
+     *
+     * Resolves to the keepContent filter for storage, telling which tabs keep
+     * their content, or null if the user cancelled.
+     */
+    async confirmStoreContent(tabSets, storeName) {
+        const secretTabs = storeName === 'shared' ? this.findSecretTabs(tabSets) : [];
+
+        if (secretTabs.length === 0) {
+            return () => true;
+        }
+
+        const choice = await vscode.window.showWarningMessage(
+            `The unsaved content kept for ${secretTabs.map(name => `"${name}"`).join(', ')} may contain secrets. ` +
+            'Shared tab sets are committed with .vscode/tab-hero.json.',
+            { modal: true },
+            'Leave It Out',
+            'Keep Anyway'
+        );
+
+        if (!choice) {
+            return null;
+        }
+
+        return choice === 'Keep Anyway' ? () => true : tab => !this.hasSecrets(tab);
+    }
+
+    /**
+     * Open a tab that was saved with content in a view column
+     *
+     * Untitled tabs, and files that no longer exist, open as new untitled
+     * editors. Files get the saved text as unsaved changes, unless they
+     * already match it. Returns the text editor.
+     */
+    async showContent(tab, uri, viewColumn) {
+        let document = null;
+
+        if (uri.scheme !== 'untitled') {
+            try {
+                document = await vscode.workspace.openTextDocument(uri);
+            } catch (error) {
+                console.error(`Failed to open ${tab.fileName}, restoring its content untitled:`, error);
+            }
+        }
+
+        if (!document) {
+            document = await vscode.workspace.openTextDocument({
+                language: tab.languageId && tab.languageId !== 'unknown' ? tab.languageId : 'plaintext',
+                content: tab.content
+            });
+        } else if (document.getText() !== tab.content) {
+            const edit = new vscode.WorkspaceEdit();
+            edit.replace(uri, new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length)), tab.content);
+            await vscode.workspace.applyEdit(edit);
+        }
+
+        return vscode.window.showTextDocument(document, { viewColumn, preview: false });
+    }
+
+    describeEditors(entries) {
+        return entries.length === 1
+            ? `"${entries[0].tab.fileName}" is`
+            : `${entries.length} editors are`;
+    }
+
+    describeNames(entries) {
+        return entries.map(entry => `"${entry.tab.fileName}"`).join(', ');
+    }
+
+    formatSize(bytes) {
+        return bytes >= 1024 * 1024
+            ? `${Math.round(bytes / (1024 * 1024))} MB`
+            : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+}
+
+module.exports = new UnsavedContent();